@@ -10,12 +10,103 @@ const fs = require("fs");
 const axios = require("axios");
 
 const path = require("path");
+const crypto = require("crypto");
+const { Readable } = require("stream");
 const cors = require("cors");
 
 const app = express();
 
+// Local image host: generated images written here are served from /images
+const IMAGE_STORE_DIR = process.env.IMAGE_STORE_DIR || path.join(__dirname, "image-store");
+const SCHEMAS_DIR = path.join(__dirname, "schemas");
+// AI usage ledger (one JSON line per model call) and the prices it is costed with
+const USAGE_LEDGER_FILE = process.env.USAGE_LEDGER_FILE || path.join(__dirname, "usage", "ledger.jsonl");
+const LLM_PRICING_FILE = process.env.LLM_PRICING_FILE || path.join(__dirname, "pricing.json");
+
 app.use(cors());
 app.use(express.json({ limit: "10mb" }));
+app.use("/images", express.static(IMAGE_STORE_DIR));
+app.use("/schemas", express.static(SCHEMAS_DIR));
+
+// Rich slide body for a run of elements: paragraphs of styled runs, with list nesting kept.
+// Reuses the Docs block walker; table cells are flattened into paragraphs in reading order.
+function slideParagraphsFromElements(document, elements) {
+  const wrapper = document.createElement("div");
+  elements.forEach((el) => wrapper.appendChild(el.cloneNode(true)));
+
+  const blocks = [];
+  collectDocBlocks(wrapper, { textStyle: {} }, blocks);
+
+  const paragraphs = [];
+  const addBlock = (block) => {
+    if (block.type === "table") {
+      block.cells.forEach((cell) => cell.blocks.forEach(addBlock));
+      return;
+    }
+    const runs = block.runs.filter((run) => run.text);
+    if (!runs.length) return;
+    paragraphs.push({
+      runs,
+      heading: block.namedStyleType !== "NORMAL_TEXT",
+      list: block.list ? { id: block.list.id, ordered: block.list.ordered, nesting: block.list.nesting } : null,
+    });
+  };
+  blocks.forEach(addBlock);
+  return paragraphs;
+}
+
+// Images under a slide heading, in document order
+function slideImagesFromElements(elements) {
+  return elements
+    .flatMap((el) => (el.tagName === "IMG" ? [el] : Array.from(el.querySelectorAll("img"))))
+    .map((img) => ({ src: img.getAttribute("src") || "", alt: (img.getAttribute("alt") || "").trim() }))
+    .filter((image) => image.src);
+}
+
+// Plain-text view of slide paragraphs
+function slideParagraphsText(paragraphs) {
+  return paragraphs.map((paragraph) => paragraph.runs.map((run) => run.text).join("")).join("\n");
+}
+
+const SLIDE_NOTES_PREFIX = /^\s*(?:speaker\s+)?notes\s*:\s*/i;
+
+function isSlideNotesElement(el) {
+  return (el.tagName === "ASIDE" && el.classList.contains("notes")) ||
+    (el.tagName === "P" && SLIDE_NOTES_PREFIX.test(el.textContent));
+}
+
+// Speaker notes are an <aside class="notes"> block or a paragraph starting with "Notes:".
+// Returns the notes text and copies of the remaining elements with any nested notes removed.
+function separateSlideNotes(document, elements) {
+  const notes = [];
+  const content = [];
+  const notesText = (el) => slideParagraphsText(slideParagraphsFromElements(document, [el])).replace(SLIDE_NOTES_PREFIX, "");
+
+  elements.forEach((el) => {
+    if (isSlideNotesElement(el)) {
+      notes.push(notesText(el));
+      return;
+    }
+    const copy = el.cloneNode(true);
+    copy.querySelectorAll("aside.notes").forEach((aside) => {
+      notes.push(notesText(aside));
+      aside.remove();
+    });
+    content.push(copy);
+  });
+
+  return { content, notes: notes.filter(Boolean).join("\n") };
+}
+
+// Everything a slide gets from the elements under its title: body, images and speaker notes
+function slideContentFromElements(document, elements) {
+  const { content, notes } = separateSlideNotes(document, elements);
+  return {
+    paragraphs: slideParagraphsFromElements(document, content),
+    images: slideImagesFromElements(content),
+    notes,
+  };
+}
 
 function extractSlidesFromHtml(html) {
   const dom = new JSDOM(html);
@@ -40,27 +131,26 @@ function extractSlidesFromHtml(html) {
     if (el.tagName === "P" && isStrongOnlyTitle(el)) {
       // We reached a new title: finalize the previous slide with whatever we've buffered
       if (lastSlide) {
-        lastSlide.description = buffer.join("\n\n").trim();
+        Object.assign(lastSlide, slideContentFromElements(document, buffer));
       }
       // Start a new slide with this title
-      lastSlide = { title: el.textContent.trim(), description: "" };
+      lastSlide = { title: el.textContent.trim(), paragraphs: [], images: [], notes: "" };
       slides.push(lastSlide);
       buffer = [];
       continue;
     }
 
-    // Accumulate text for "content before the next title"
-    const text = (el.textContent || "").replace(/\s+/g, " ").trim();
-    if (text) buffer.push(text);
+    // Accumulate elements for "content before the next title"
+    buffer.push(el);
   }
 
   // Attach any trailing content to the last slide so nothing is lost
   if (lastSlide && buffer.length) {
-    lastSlide.description = buffer.join("\n\n").trim();
+    Object.assign(lastSlide, slideContentFromElements(document, buffer));
   }
 
   // Clean up any accidental empties
-  return slides.filter(s => s.title && typeof s.description === "string");
+  return slides.filter(s => s.title && Array.isArray(s.paragraphs));
 }
 
 function extractSlidesFromHtml_SlideShow(html) {
@@ -73,18 +163,18 @@ function extractSlidesFromHtml_SlideShow(html) {
   h2Elements.forEach((h2) => {
     const title = h2.textContent.trim();
 
-    let description = "";
+    const elements = [];
     let sibling = h2.nextElementSibling;
 
-    // Collect plain text until the next <h2>
+    // Collect content until the next <h2>
     while (sibling && sibling.tagName !== "H2") {
-      description += sibling.textContent + "\n"; // Keep line breaks
+      elements.push(sibling);
       sibling = sibling.nextElementSibling;
     }
 
     slides.push({
       title,
-      description: description.trim()
+      ...slideContentFromElements(document, elements)
     });
   });
 
@@ -92,20 +182,430 @@ function extractSlidesFromHtml_SlideShow(html) {
 }
 
 
-async function generateTextAndImage(prompt, model = "gpt-5", apiKeyBase64 = null) {
+// ---- LLM providers ----
+// The AI routes talk to a provider through an OpenAI-style Responses client. A request picks
+// one with `provider`, defaulting to LLM_PROVIDER, then "openai":
+// - openai: the OpenAI API
+// - openai-compatible: an OpenAI-style server at LLM_BASE_URL (e.g. a local model), with its
+//   own key in LLM_API_KEY. Most only implement /v1/chat/completions, so requests are mapped
+//   onto it unless LLM_API is "responses". Its capabilities come from LLM_CAPABILITIES,
+//   "text,streaming" unless set
+// - fake: deterministic canned output for tests and offline work
+
+const LLM_CAPABILITY_NAMES = {
+  text: "text",
+  images: "image generation",
+  streaming: "streaming",
+  structured: "structured output",
+};
+
+// 1x1 transparent PNG
+const FAKE_IMAGE_B64 = "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==";
+
+// Smallest value matching a structured-output schema: first enum value, first non-null type, one array item
+function sampleForSchema(schema, root = schema) {
+  const resolved = resolveSchemaRef(schema, root);
+  if (resolved.enum) return resolved.enum[0];
+  if (resolved.anyOf) return sampleForSchema(resolved.anyOf[0], root);
+
+  switch ([].concat(resolved.type).find((type) => type !== "null")) {
+    case "object":
+      return Object.fromEntries(
+        Object.entries(resolved.properties || {}).map(([key, value]) => [key, sampleForSchema(value, root)])
+      );
+    case "array":
+      return [sampleForSchema(resolved.items, root)];
+    case "string":
+      return "Fake text";
+    case "integer":
+    case "number":
+      return resolved.minimum ?? 1;
+    case "boolean":
+      return false;
+    default:
+      return null;
+  }
+}
+
+// Text of a Responses `input`: a string, or messages whose content parts carry text
+function responsesInputText(input) {
+  if (typeof input === "string") return input;
+  return input.flatMap((message) => [].concat(message.content || [])).map((part) => (typeof part === "string" ? part : part.text || "")).join("\n");
+}
+
+// Echoes the prompt, or answers with a sample of the requested JSON schema; one image per
+// call when the image tool is offered
+function fakeResponsesClient() {
+  const respond = (request) => {
+    const prompt = responsesInputText(request.input);
+    const format = request.text?.format;
+    const text = format?.type === "json_schema"
+      ? JSON.stringify(sampleForSchema(format.schema))
+      : `Fake ${request.model} response to: ${prompt}`;
+    const images = (request.tools || []).some((tool) => tool.type === "image_generation") ? [FAKE_IMAGE_B64] : [];
+    const countWords = (value) => value.split(/\s+/).filter(Boolean).length;
+    const usage = { input_tokens: countWords(prompt), output_tokens: countWords(text) };
+    usage.total_tokens = usage.input_tokens + usage.output_tokens;
+
+    return {
+      output_text: text,
+      output: [
+        { type: "message", content: [{ type: "output_text", text }] },
+        ...images.map((result) => ({ type: "image_generation_call", result })),
+      ],
+      usage,
+    };
+  };
+
+  async function* events(response, signal) {
+    for (const delta of response.output_text.match(/\S+\s*/g) || []) {
+      if (signal?.aborted) throw new Error("Request was aborted.");
+      yield { type: "response.output_text.delta", delta };
+    }
+    for (const item of response.output.filter((output) => output.type === "image_generation_call")) {
+      yield { type: "response.output_item.done", item };
+    }
+    yield { type: "response.completed", response };
+  }
+
+  return {
+    responses: {
+      create: async (request, { signal } = {}) => {
+        const response = respond(request);
+        return request.stream ? events(response, signal) : response;
+      },
+    },
+  };
+}
+
+// Responses-style client over chat.completions, for servers without the Responses API.
+// Covers what the routes use: instructions, text input, json_schema output and streaming
+// text; tools (image generation) have no chat equivalent and are dropped.
+function chatCompletionsResponsesClient(openai) {
+  const chatRequest = (request) => {
+    const messages = [];
+    if (request.instructions) messages.push({ role: "system", content: request.instructions });
+    if (typeof request.input === "string") {
+      messages.push({ role: "user", content: request.input });
+    } else {
+      request.input.forEach((message) => messages.push({ role: message.role || "user", content: responsesInputText([message]) }));
+    }
+
+    const format = request.text?.format;
+    return {
+      model: request.model,
+      messages,
+      ...(format?.type === "json_schema" && {
+        response_format: { type: "json_schema", json_schema: { name: format.name, schema: format.schema, strict: format.strict } },
+      }),
+    };
+  };
+
+  const responsesUsage = (usage) => usage && {
+    input_tokens: usage.prompt_tokens || 0,
+    output_tokens: usage.completion_tokens || 0,
+    total_tokens: usage.total_tokens || 0,
+    ...(usage.prompt_tokens_details && { input_tokens_details: { cached_tokens: usage.prompt_tokens_details.cached_tokens || 0 } }),
+  };
+
+  async function* events(stream) {
+    let usage = null;
+    for await (const chunk of stream) {
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) yield { type: "response.output_text.delta", delta };
+      if (chunk.usage) usage = responsesUsage(chunk.usage);
+    }
+    yield { type: "response.completed", response: { usage } };
+  }
+
+  return {
+    responses: {
+      create: async (request, options) => {
+        if (request.stream) {
+          const stream = await openai.chat.completions.create(
+            { ...chatRequest(request), stream: true, stream_options: { include_usage: true } },
+            options
+          );
+          return events(stream);
+        }
+        const completion = await openai.chat.completions.create(chatRequest(request), options);
+        const text = completion.choices?.[0]?.message?.content || "";
+        return {
+          output_text: text,
+          output: [{ type: "message", content: [{ type: "output_text", text }] }],
+          usage: responsesUsage(completion.usage),
+        };
+      },
+    },
+  };
+}
+
+function configuredCapabilities(list, fallback) {
+  const names = (list || fallback).split(",").map((name) => name.trim()).filter(Boolean);
+  return Object.fromEntries(Object.keys(LLM_CAPABILITY_NAMES).map((name) => [name, names.includes(name)]));
+}
+
+const LLM_PROVIDERS = {
+  openai: {
+    requiresKey: true,
+    keyEnv: "OPENAI_API_KEY",
+    capabilities: { text: true, images: true, streaming: true, structured: true },
+    createClient: (apiKey) => new OpenAI({ apiKey }),
+  },
+  "openai-compatible": {
+    requiresKey: false,
+    keyEnv: "LLM_API_KEY",
+    capabilities: configuredCapabilities(process.env.LLM_CAPABILITIES, "text,streaming"),
+    // Local servers usually ignore the key, but the SDK insists on one
+    createClient: (apiKey) => {
+      const client = new OpenAI({ apiKey: apiKey || "unused", baseURL: process.env.LLM_BASE_URL });
+      return process.env.LLM_API === "responses" ? client : chatCompletionsResponsesClient(client);
+    },
+  },
+  fake: {
+    requiresKey: false,
+    capabilities: { text: true, images: true, streaming: true, structured: true },
+    createClient: () => fakeResponsesClient(),
+  },
+};
+
+function llmProviderName(name) {
+  return name || process.env.LLM_PROVIDER || "openai";
+}
+
+function resolveLlmProvider(name) {
+  return LLM_PROVIDERS[llmProviderName(name)] || null;
+}
+
+// Why a request cannot go to this provider: unknown, missing a capability, or not configured
+function llmProviderError(name, provider, needs) {
+  if (!provider) return `Unknown provider '${name}'. Use one of: ${Object.keys(LLM_PROVIDERS).join(", ")}`;
+  const missing = needs.find((capability) => !provider.capabilities[capability]);
+  if (missing) return `Provider '${llmProviderName(name)}' does not support ${LLM_CAPABILITY_NAMES[missing]}`;
+  if (provider === LLM_PROVIDERS["openai-compatible"] && !process.env.LLM_BASE_URL) {
+    return "Provider 'openai-compatible' needs LLM_BASE_URL to be set";
+  }
+  return null;
+}
+
+// Client for a provider and base64-encoded API key, falling back to the server's key for that
+// provider (its `keyEnv`), so one provider's key is never sent to another
+function llmClientFor(provider, apiKeyBase64) {
   // Decode Base64 API key if provided
   const apiKey = apiKeyBase64
     ? Buffer.from(apiKeyBase64, "base64").toString("utf-8")
-    : process.env.OPENAI_API_KEY;
+    : provider.keyEnv && process.env[provider.keyEnv];
 
-  if (!apiKey) {
+  if (provider.requiresKey && !apiKey) {
     throw new Error("Missing OpenAI API key (env or apiKeyBase64 required)");
   }
 
-  const client = new OpenAI({ apiKey });
+  return provider.createClient(apiKey);
+}
+
+// ---- Usage ledger ----
+// Every model call is appended to USAGE_LEDGER_FILE with its token and image counts and a
+// cost from the price table. Spend is billed to an account the client cannot choose: the
+// caller a token in USAGE_CALLERS_FILE was issued to, else the key that pays for the call.
+// Accounts with a budget are refused once their spend for the current (UTC) month reaches
+// it. /usage-report aggregates the ledger for admins.
+
+function loadJsonFile(file, fallback) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : fallback;
+}
+
+// { currency, tokens_per_unit, models: { <model prefix>: { input, cached_input, output } }, images: { <quality>: price } }
+const LLM_PRICING = loadJsonFile(LLM_PRICING_FILE, { currency: "USD", tokens_per_unit: 1000000, models: {}, images: {} });
+
+// { "default": 5, "accounts": { "<account>": 20 } } — monthly spend limits in the pricing currency
+const USAGE_BUDGETS = loadJsonFile(process.env.USAGE_BUDGETS_FILE || path.join(__dirname, "budgets.json"), {});
+
+// { "<token>": "<caller>" } — tokens issued to callers (e.g. one per teacher), who send theirs
+// in the X-Caller-Token header so usage is billed and budgeted per caller on a shared key
+const USAGE_CALLERS = loadJsonFile(process.env.USAGE_CALLERS_FILE || path.join(__dirname, "callers.json"), {});
+
+// Who a request is billed to, or { error } for an unknown caller token. A token makes the
+// account "caller:<name>". Without one, the account is a fingerprint of the request's own API
+// key when the provider uses it, else "server" (the server's key, shared by everyone); give
+// "server" a budget of 0 to make tokens mandatory. `caller` in the body is only a label
+// within the account and never changes which budget applies.
+function usageIdentity(req, provider) {
+  const token = req.get("x-caller-token");
+  if (token !== undefined) {
+    const name = Object.hasOwn(USAGE_CALLERS, token) ? USAGE_CALLERS[token] : null;
+    if (!name) return { error: "Unknown X-Caller-Token" };
+    return { account: `caller:${name}`, caller: name };
+  }
+
+  const body = req.body;
+  const account = provider?.requiresKey && body.hashkey
+    ? `key:${crypto.createHash("sha256").update(String(body.hashkey)).digest("hex").slice(0, 12)}`
+    : "server";
+  const label = typeof body.caller === "string" ? body.caller.trim() : "";
+  return { account, caller: label || account };
+}
+
+// Prices for a model; dated snapshots ("gpt-5-2025-08-07") use the longest matching prefix
+function modelPricing(model) {
+  const match = Object.keys(LLM_PRICING.models)
+    .filter((name) => model === name || model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? LLM_PRICING.models[match] : null;
+}
+
+// Cost of one ledger entry, or null when the model has no price
+function usageCost({ model, input_tokens, cached_tokens, output_tokens, images, image_quality }) {
+  const price = modelPricing(model);
+  if (!price) return null;
+  const perToken = (rate = 0) => rate / LLM_PRICING.tokens_per_unit;
+  const tokens = (input_tokens - cached_tokens) * perToken(price.input)
+    + cached_tokens * perToken(price.cached_input ?? price.input)
+    + output_tokens * perToken(price.output);
+  const imagePrice = LLM_PRICING.images[image_quality || "auto"] ?? 0;
+  return Number((tokens + images * imagePrice).toFixed(6));
+}
+
+// Appends one model call to the ledger and returns the entry. `estimated` marks usage
+// guessed from a stream the client cut off before the provider reported it.
+function recordUsage({ account, caller, route, provider, model, usage, images = 0, imageQuality, estimated = false }) {
+  const entry = {
+    at: new Date().toISOString(),
+    account,
+    caller,
+    route,
+    provider: llmProviderName(provider),
+    model,
+    input_tokens: usage?.input_tokens || 0,
+    cached_tokens: usage?.input_tokens_details?.cached_tokens || 0,
+    output_tokens: usage?.output_tokens || 0,
+    images,
+    ...(images && { image_quality: imageQuality || "auto" }),
+    ...(estimated && { estimated }),
+  };
+  entry.cost = usageCost(entry);
+
+  fs.mkdirSync(path.dirname(USAGE_LEDGER_FILE), { recursive: true });
+  fs.appendFileSync(USAGE_LEDGER_FILE, `${JSON.stringify(entry)}\n`);
+  return entry;
+}
+
+function readUsageLedger() {
+  if (!fs.existsSync(USAGE_LEDGER_FILE)) return [];
+  return fs.readFileSync(USAGE_LEDGER_FILE, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+}
+
+function usageBudget(account) {
+  return USAGE_BUDGETS.accounts?.[account] ?? USAGE_BUDGETS.default ?? null;
+}
+
+// What an account has spent since the start of the current UTC month
+function monthlySpend(account, entries = readUsageLedger()) {
+  const month = new Date().toISOString().slice(0, 7);
+  return entries
+    .filter((entry) => entry.account === account && entry.at.startsWith(month))
+    .reduce((sum, entry) => sum + (entry.cost || 0), 0);
+}
+
+// Why an account may not make another model call this month, or null
+function usageBudgetError(account) {
+  const budget = usageBudget(account);
+  if (budget === null) return null;
+  const spent = monthlySpend(account);
+  if (spent < budget) return null;
+  return `Monthly budget of ${budget} ${LLM_PRICING.currency} for '${account}' is used up (${spent.toFixed(2)} spent)`;
+}
+
+// Rough token counts (about four characters per token) for a stream cut off before the
+// provider sent its usage
+function estimatedUsage(request, text) {
+  const input = responsesInputText(request.input);
+  const tokens = (value) => Math.ceil(value.length / 4);
+  return { input_tokens: tokens(`${request.instructions || ""}${input}`), output_tokens: tokens(text) };
+}
+
+// streamOpenAiResponse that also records the call, including a stream the client aborts
+async function streamWithUsage(client, request, handlers, usageEntry) {
+  try {
+    const result = await streamOpenAiResponse(client, request, handlers);
+    recordUsage({ ...usageEntry, usage: result.usage, images: result.images.length });
+    return result;
+  } catch (error) {
+    if (error.partial) {
+      const { text, images, usage } = error.partial;
+      recordUsage({ ...usageEntry, usage: usage || estimatedUsage(request, text), images: images.length, estimated: !usage });
+    }
+    throw error;
+  }
+}
+
+const USAGE_GROUPS = {
+  account: (entry) => entry.account,
+  caller: (entry) => entry.caller,
+  model: (entry) => entry.model,
+  day: (entry) => entry.at.slice(0, 10),
+  route: (entry) => entry.route,
+  provider: (entry) => entry.provider,
+};
+
+const emptyUsageRow = () => ({ calls: 0, input_tokens: 0, cached_tokens: 0, output_tokens: 0, images: 0, cost: 0, unpriced_calls: 0 });
+
+// Sums ledger entries per distinct combination of the `groupBy` keys
+function aggregateUsage(entries, groupBy) {
+  const rows = new Map();
+  entries.forEach((entry) => {
+    const keys = Object.fromEntries(groupBy.map((name) => [name, USAGE_GROUPS[name](entry)]));
+    const id = JSON.stringify(keys);
+    if (!rows.has(id)) {
+      rows.set(id, { ...keys, ...emptyUsageRow() });
+    }
+    const row = rows.get(id);
+    row.calls += 1;
+    row.input_tokens += entry.input_tokens;
+    row.cached_tokens += entry.cached_tokens;
+    row.output_tokens += entry.output_tokens;
+    row.images += entry.images;
+    if (entry.cost === null) row.unpriced_calls += 1;
+    else row.cost += entry.cost;
+  });
+  return [...rows.values()].map((row) => ({ ...row, cost: Number(row.cost.toFixed(6)) }));
+}
+
+// Image tool settings a request may choose; the defaults are the original fixed ones
+const GENERATED_IMAGE_OPTIONS = {
+  size: ["1024x1024", "1024x1536", "1536x1024", "auto"],
+  background: ["transparent", "opaque", "auto"],
+  quality: ["low", "medium", "high", "auto"],
+};
+const MAX_GENERATED_IMAGES = 4;
+
+// Why the image settings in a request body are unusable, or null
+function generatedImageOptionsError({ image_size, image_background, image_quality, image_count }) {
+  const chosen = { size: image_size, background: image_background, quality: image_quality };
+  for (const [name, value] of Object.entries(chosen)) {
+    if (value !== undefined && !GENERATED_IMAGE_OPTIONS[name].includes(value)) {
+      return `Unsupported image_${name} '${value}'. Use one of: ${GENERATED_IMAGE_OPTIONS[name].join(", ")}`;
+    }
+  }
+  if (image_count !== undefined && !(Number.isInteger(image_count) && image_count >= 1 && image_count <= MAX_GENERATED_IMAGES)) {
+    return `'image_count' must be an integer from 1 to ${MAX_GENERATED_IMAGES}`;
+  }
+  return null;
+}
 
-  // Single call with text + image tools
-  const response = await client.responses.create({
+// Single call with text + image tools. The tool has no image count, so `count` is asked for
+// in the prompt and extra images are dropped afterwards.
+function textAndImageRequest(prompt, model, { size = "1024x1024", background = "transparent", quality, count } = {}) {
+  const text = count ? `${prompt}\n\nGenerate exactly ${count} image${count === 1 ? "" : "s"}.` : prompt;
+  return {
     model,
     input: [
       {
@@ -113,7 +613,7 @@ async function generateTextAndImage(prompt, model = "gpt-5", apiKeyBase64 = null
         content: [
           {
             type: "input_text",
-            text: prompt,
+            text,
           },
         ],
       },
@@ -121,39 +621,414 @@ async function generateTextAndImage(prompt, model = "gpt-5", apiKeyBase64 = null
     tools: [
       {
         type: "image_generation",
-        size: "1024x1024",
-        background: "transparent",
+        size,
+        background,
+        ...(quality && { quality }),
       },
     ],
+  };
+}
+
+// src for one generated (base64 PNG) image: a data URI when inline, otherwise a hosted URL
+async function generatedImageSrc(b64Json, { host = "inline", auth, folderId } = {}) {
+  if (host === "inline") return `data:image/png;base64,${b64Json}`;
+  return hostImage({ buffer: Buffer.from(b64Json, "base64"), mimeType: "image/png" }, { host, auth, folderId });
+}
+
+// Insert images into HTML
+function htmlWithImages(textOutput, imageSrcs) {
+  let finalHtml = textOutput;
+  imageSrcs.forEach((src, idx) => {
+    const imgTag = `<img src="${src}" 
+                     alt="Generated Image ${idx + 1}" 
+                     style="max-width:100%;height:auto;" />`;
+    finalHtml += imgTag;
   });
+  return finalHtml;
+}
+
+// `options.image` holds the tool settings (size, background, quality, count) and
+// `options.hosting` where the images go ({ host, auth, folderId }, inline by default).
+// With `options.usageEntry` the call is recorded as soon as the model has answered, so a
+// failure while hosting the images does not leave it unbilled.
+async function generateTextAndImage(prompt, model = "gpt-5", apiKeyBase64 = null, provider = resolveLlmProvider(), options = {}) {
+  const client = llmClientFor(provider, apiKeyBase64);
+  const response = await client.responses.create(textAndImageRequest(prompt, model, options.image));
 
   // Extract text
   const textOutput = response.output_text || "";
 
-  // Extract images (base64)
-  const images = response.output
-    ?.flatMap((item) => item.content || [])
+  // Extract images (base64), from image tool calls or inline output images
+  const generated = response.output
+    ?.flatMap((item) => (item.type === "image_generation_call" ? [{ type: "output_image", image: { b64_json: item.result } }] : item.content || []))
     .filter((c) => c.type === "output_image")
     .map((c) => c.image?.b64_json) || [];
+  // Every generated image is paid for, including the ones beyond the requested count
+  if (options.usageEntry) recordUsage({ ...options.usageEntry, usage: response.usage, images: generated.length });
+  const images = generated.slice(0, options.image?.count);
 
-  // Insert images into HTML
-  let finalHtml = textOutput;
-  images.forEach((imgB64, idx) => {
-    const imgTag = `<img src="data:image/png;base64,${imgB64}" 
-                     alt="Generated Image ${idx + 1}" 
-                     style="max-width:100%;height:auto;" />`;
-    finalHtml += imgTag;
+  const imageSrcs = [];
+  for (const b64Json of images) imageSrcs.push(await generatedImageSrc(b64Json, options.hosting));
+
+  return { html: htmlWithImages(textOutput, imageSrcs), imagesCount: images.length, usage: response.usage };
+}
+
+// ---- Streaming ----
+// With `stream: true` the AI routes answer with Server-Sent Events instead of JSON:
+// "delta" events carry text as it arrives, "image" events each finished image, and a last
+// "done" (the usual JSON body plus usage) or "error" event ends the stream.
+
+// Streams a Responses API call, reporting text deltas and finished images as they arrive
+async function streamOpenAiResponse(client, request, { signal, onText, onImage }) {
+  let text = "";
+  const images = [];
+  let usage = null;
+  let started = false;
+
+  try {
+    const stream = await client.responses.create({ ...request, stream: true }, { signal });
+    started = true;
+    for await (const event of stream) {
+      if (event.type === "response.output_text.delta") {
+        text += event.delta;
+        onText?.(event.delta);
+      } else if (event.type === "response.output_item.done" && event.item.type === "image_generation_call" && event.item.result) {
+        images.push(event.item.result);
+        await onImage?.(event.item.result, images.length - 1);
+      } else if (event.type === "response.completed") {
+        usage = event.response.usage;
+      } else if (event.type === "response.failed" || event.type === "error") {
+        throw new Error(event.response?.error?.message || event.message || "OpenAI stream failed");
+      }
+    }
+    if (signal?.aborted) throw new Error("Request was aborted.");
+  } catch (error) {
+    // What arrived before the stream broke off or the client went away, so the call can
+    // still be accounted for
+    if (started || signal?.aborted) error.partial = { text, images, usage };
+    throw error;
+  }
+
+  return { text, images, usage };
+}
+
+// Answers with an event stream fed by `produce(send, signal)`, whose result becomes the
+// "done" event. `signal` aborts once the client disconnects, cancelling the upstream call.
+async function streamServerSentEvents(res, produce) {
+  res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+  res.flushHeaders();
+
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
   });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  try {
+    send("done", await produce(send, controller.signal));
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      console.error("Stream error:", error.message);
+      send("error", { success: false, error: error.message });
+    }
+  }
+  res.end();
+}
 
-  return { html: finalHtml, imagesCount: images.length };
+// ---- Form questions ----
+// Question `type`s (case-insensitive) and the Forms API question each one becomes.
+// "MCQ" is the original name for multiple choice; unknown types stay short text questions.
+const FORM_QUESTION_TYPES = {
+  mcq: "radio",
+  radio: "radio",
+  multiple_choice: "radio",
+  checkbox: "checkbox",
+  checkboxes: "checkbox",
+  dropdown: "dropdown",
+  short: "short",
+  short_answer: "short",
+  text: "short",
+  paragraph: "paragraph",
+  long_answer: "paragraph",
+  scale: "scale",
+  linear_scale: "scale",
+  date: "date",
+  datetime: "datetime",
+  time: "time",
+  duration: "duration",
+  grid: "grid",
+  radio_grid: "grid",
+  checkbox_grid: "checkbox_grid",
+};
+
+const FORM_CHOICE_TYPES = { radio: "RADIO", checkbox: "CHECKBOX", dropdown: "DROP_DOWN" };
+
+function formQuestionKind(type) {
+  return FORM_QUESTION_TYPES[String(type || "").toLowerCase()] || "short";
 }
 
-async function createGoogleForm(accessToken, formTitle, base64Json) {
-  // ---- STEP 1: Decode Base64 JSON ----
-  const decodedJson = JSON.parse(
-    Buffer.from(base64Json, "base64").toString("utf-8")
-  );
-  const allQuestions = decodedJson?.data?.flatMap((s) => s.questions) || [];
+// Options are strings, or { value, goTo } where `goTo` names where a multiple-choice or
+// drop-down answer leads (see formSectionTargets); other kinds ignore it
+function formChoiceOptions(options, sectionTarget) {
+  return (options || []).map((opt) => {
+    if (!isPlainObject(opt)) return { value: String(opt) };
+    const option = { value: String(opt.value) };
+    if (opt.goTo !== undefined && sectionTarget) Object.assign(option, sectionTarget(opt.goTo));
+    return option;
+  });
+}
+
+// Forms API question body (everything but `required`) for a non-grid question
+function formQuestionBody(q, kind, sectionTarget) {
+  if (FORM_CHOICE_TYPES[kind]) {
+    const branches = kind === "radio" || kind === "dropdown";
+    const choiceQuestion = {
+      type: FORM_CHOICE_TYPES[kind],
+      options: formChoiceOptions(q.options, branches ? sectionTarget : null),
+    };
+    // Drop-downs cannot have an "Other" choice
+    if (q.other && kind !== "dropdown") choiceQuestion.options.push({ isOther: true });
+    if (q.shuffle) choiceQuestion.shuffle = true;
+    return { choiceQuestion };
+  }
+
+  switch (kind) {
+    case "paragraph":
+      return { textQuestion: { paragraph: true } };
+    case "scale":
+      return {
+        scaleQuestion: {
+          low: q.low ?? 1,
+          high: q.high ?? 5,
+          ...(q.lowLabel && { lowLabel: q.lowLabel }),
+          ...(q.highLabel && { highLabel: q.highLabel }),
+        },
+      };
+    case "date":
+    case "datetime":
+      return { dateQuestion: { includeTime: kind === "datetime" || Boolean(q.includeTime), includeYear: q.includeYear !== false } };
+    case "time":
+    case "duration":
+      return { timeQuestion: { duration: kind === "duration" } };
+    default:
+      return { textQuestion: { paragraph: false } };
+  }
+}
+
+const FORM_RELEASE_GRADES = ["immediately", "later"];
+
+// Quiz options from the request: `true`, or { defaultPoints, releaseGrades }. Null when off.
+function formQuizOptions(quiz) {
+  if (!quiz) return null;
+  const { defaultPoints = 1, releaseGrades = "immediately" } = quiz === true ? {} : quiz;
+  return { defaultPoints, releaseGrades };
+}
+
+// Why quiz options from formQuizOptions are unusable, or null
+function formQuizOptionsError(quizOptions) {
+  if (!quizOptions) return null;
+  if (!FORM_RELEASE_GRADES.includes(quizOptions.releaseGrades)) {
+    return `Unsupported releaseGrades '${quizOptions.releaseGrades}'. Use one of: ${FORM_RELEASE_GRADES.join(", ")}`;
+  }
+  if (!(Number.isInteger(quizOptions.defaultPoints) && quizOptions.defaultPoints >= 0)) {
+    return "'quiz.defaultPoints' must be a non-negative integer";
+  }
+  return null;
+}
+
+// Grading for a quiz question. Choice and short-answer questions take `answer` (or `answers`)
+// with `correctFeedback` / `incorrectFeedback`; paragraphs can only carry general `feedback`.
+// Other kinds are not gradable in Forms.
+function formQuestionGrading(q, kind, quiz) {
+  const feedback = (text) => (text ? { text: String(text) } : undefined);
+  const grading = { pointValue: q.points ?? quiz.defaultPoints };
+
+  if (FORM_CHOICE_TYPES[kind] || kind === "short") {
+    const answers = [].concat(q.answers ?? q.answer ?? []);
+    if (answers.length) grading.correctAnswers = { answers: answers.map((answer) => ({ value: String(answer) })) };
+    if (q.correctFeedback) grading.whenRight = feedback(q.correctFeedback);
+    if (q.incorrectFeedback) grading.whenWrong = feedback(q.incorrectFeedback);
+  } else if (kind === "paragraph") {
+    if (q.feedback) grading.generalFeedback = feedback(q.feedback);
+  } else {
+    return null;
+  }
+
+  return grading;
+}
+
+// Form item for one question from the payload. Questions are required unless `required: false`.
+// Grids take `rows` (one question each) and `columns` (the choices every row shares).
+// With quiz options, gradable questions also get their points, answer key and feedback.
+function buildFormItem(q, quiz = null, sectionTarget = null) {
+  const kind = formQuestionKind(q.type);
+  const required = q.required !== false;
+  const item = { title: q.question, description: q.description || "" };
+
+  if (kind === "grid" || kind === "checkbox_grid") {
+    item.questionGroupItem = {
+      questions: (q.rows || []).map((row) => ({ required, rowQuestion: { title: String(row) } })),
+      grid: {
+        columns: { type: kind === "grid" ? "RADIO" : "CHECKBOX", options: formChoiceOptions(q.columns) },
+        ...(q.shuffle && { shuffleQuestions: true }),
+      },
+    };
+    return item;
+  }
+
+  item.questionItem = { question: { required, ...formQuestionBody(q, kind, sectionTarget) } };
+  const grading = quiz && formQuestionGrading(q, kind, quiz);
+  if (grading) item.questionItem.question.grading = grading;
+  return item;
+}
+
+// ---- Form sections ----
+// Each entry of the payload's `data` is a section: { title (or section), description, questions }.
+// Sections after the first start with a page break; the first one has no page of its own,
+// so its title and description become a text item at the top.
+
+function formSectionTitle(section) {
+  return section.title || section.section || "";
+}
+
+const FORM_GOTO_ACTIONS = { next: "NEXT_SECTION", submit: "SUBMIT_FORM", restart: "RESTART_FORM" };
+
+// Resolves an option's `goTo`: "next", "submit", "restart", or a section's `id` or title.
+// Page breaks get item ids up front so options can point at them.
+function formSectionTargets(sections) {
+  const sectionIds = sections.map(() => crypto.randomBytes(4).toString("hex"));
+
+  const target = (goTo) => {
+    if (FORM_GOTO_ACTIONS[goTo]) return { goToAction: FORM_GOTO_ACTIONS[goTo] };
+    const index = sections.findIndex((section) => section.id === goTo || formSectionTitle(section) === goTo);
+    if (index === -1) throw new Error(`Unknown section '${goTo}' in goTo`);
+    return index === 0 ? { goToAction: "RESTART_FORM" } : { goToSectionId: sectionIds[index] };
+  };
+
+  return { sectionIds, target };
+}
+
+// `goTo`s that name no section, which the schema alone cannot catch
+function formBranchErrors(sections) {
+  const known = new Set(Object.keys(FORM_GOTO_ACTIONS));
+  sections.forEach((section) => {
+    if (section.id) known.add(section.id);
+    if (formSectionTitle(section)) known.add(formSectionTitle(section));
+  });
+
+  const errors = [];
+  sections.forEach((section, i) => {
+    section.questions.forEach((q, j) => {
+      (q.options || []).forEach((opt, k) => {
+        if (isPlainObject(opt) && opt.goTo !== undefined && !known.has(opt.goTo)) {
+          errors.push(`data[${i}].questions[${j}].options[${k}].goTo '${opt.goTo}' is not a section id or title`);
+        }
+      });
+    });
+  });
+  return errors;
+}
+
+// Rules that hang on the question type. Types are case-insensitive, which the schema cannot
+// express, so they are checked here on the normalized kind (see formQuestionKind).
+function formQuestionErrors(sections, quiz) {
+  const errors = [];
+  sections.forEach((section, i) => {
+    section.questions.forEach((q, j) => {
+      const at = `data[${i}].questions[${j}]`;
+      const kind = formQuestionKind(q.type);
+      if (FORM_CHOICE_TYPES[kind] && !q.options) errors.push(`${at}.options is required for '${q.type}' questions`);
+      if (kind === "grid" || kind === "checkbox_grid") {
+        ["rows", "columns"]
+          .filter((key) => !q[key])
+          .forEach((key) => errors.push(`${at}.${key} is required for '${q.type}' questions`));
+      }
+      // An empty answer key is rejected by Forms once the question is graded
+      const answers = q.answers ?? q.answer;
+      const answersKey = q.answers !== undefined ? "answers" : "answer";
+      if (quiz && (FORM_CHOICE_TYPES[kind] || kind === "short") && answers !== undefined && ![].concat(answers).length) {
+        errors.push(`${at}.${answersKey} must list at least one answer`);
+      }
+      // Forms only grades a choice question against its own options
+      if (quiz && FORM_CHOICE_TYPES[kind] && q.options && answers !== undefined) {
+        const values = formChoiceOptions(q.options).map((option) => option.value);
+        [].concat(answers).forEach((answer, k) => {
+          if (values.includes(String(answer))) return;
+          const path = Array.isArray(answers) ? `${at}.${answersKey}[${k}]` : `${at}.${answersKey}`;
+          errors.push(`${path} '${answer}' is not one of the question's options`);
+        });
+      }
+    });
+  });
+  return errors;
+}
+
+const FORM_SCHEMA = loadSchema("google-form");
+
+// Schema, per-type and branching errors for a decoded payload, in that order
+function formPayloadErrors(payload, quiz = null) {
+  const errors = validateJsonSchema(payload, FORM_SCHEMA);
+  if (!errors.length) errors.push(...formQuestionErrors(payload.data, quiz));
+  if (!errors.length) errors.push(...formBranchErrors(payload.data));
+  return errors;
+}
+
+// Decodes and validates `base64Json` (for `quiz` options, if any), returning { payload } or
+// { error, details }
+function readFormPayload(base64Json, quiz = null) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(base64Json, "base64").toString("utf-8"));
+  } catch {
+    return { error: "'base64Json' is not base64-encoded JSON" };
+  }
+  if (!isPlainObject(payload)) return { error: "The form payload must be a JSON object" };
+
+  const errors = formPayloadErrors(payload, quiz);
+  if (errors.length) return { error: `Invalid form payload: ${errors[0]}`, details: errors };
+  return { payload };
+}
+
+// Google API failures carry the useful message in the response body
+function googleApiErrorMessage(err) {
+  return err.response?.data?.error?.message || err.message;
+}
+
+// Form items in order: section headers and page breaks, each followed by its questions
+function buildFormItems(sections, quiz) {
+  const { sectionIds, target } = formSectionTargets(sections);
+  const items = [];
+
+  sections.forEach((section, index) => {
+    const header = { title: formSectionTitle(section), description: section.description || "" };
+    if (index > 0) items.push({ itemId: sectionIds[index], ...header, pageBreakItem: {} });
+    else if (header.title || header.description) items.push({ ...header, textItem: {} });
+
+    (section.questions || []).forEach((q) => items.push(buildFormItem(q, quiz, target)));
+  });
+
+  return items;
+}
+
+// Builds a form from a payload already checked by readFormPayload. Returns the form's edit URL
+// plus warnings about options that could not be applied. A form whose items fail to build is deleted.
+async function createGoogleForm(accessToken, formTitle, payload, { quiz = null } = {}) {
+  // ---- STEP 1: Build batchUpdate requests ----
+  const warnings = [];
+  const requests = buildFormItems(payload.data, quiz).map((item, index) => ({
+    createItem: { item, location: { index } },
+  }));
+
+  // Grading is only accepted once the form is a quiz, so the setting goes first
+  if (quiz) {
+    requests.unshift({
+      updateSettings: { settings: { quizSettings: { isQuiz: true } }, updateMask: "quizSettings.isQuiz" },
+    });
+    // The Forms API has no release-grades setting; new quizzes release immediately
+    if (quiz.releaseGrades === "later") {
+      warnings.push("releaseGrades 'later' must be set in the form's quiz settings; the Forms API cannot change it");
+    }
+  }
 
   // ---- STEP 2: Create Empty Form ----
   let createdForm;
@@ -172,35 +1047,13 @@ async function createGoogleForm(accessToken, formTitle, base64Json) {
     createdForm = createResponse.data;
   } catch (err) {
     throw new Error(
-      `Google Form creation failed: ${err.response?.data || err.message}`
+      `Google Form creation failed: ${googleApiErrorMessage(err)}`
     );
   }
 
   const formId = createdForm.formId;
 
-  // ---- STEP 3: Build batchUpdate requests ----
-  const requests = allQuestions.map((q, index) => {
-    const item = {
-      title: q.question,
-      description: "",
-      questionItem: {
-        question: { required: true },
-      },
-    };
-
-    if (q.type === "MCQ") {
-      item.questionItem.question.choiceQuestion = {
-        type: "RADIO",
-        options: q.options.map((opt) => ({ value: opt })),
-      };
-    } else {
-      item.questionItem.question.textQuestion = {};
-    }
-
-    return { createItem: { item, location: { index } } };
-  });
-
-  // ---- STEP 4: Batch Update ----
+  // ---- STEP 3: Batch Update ----
   try {
     await axios.post(
       `https://forms.googleapis.com/v1/forms/${formId}:batchUpdate`,
@@ -213,731 +1066,2948 @@ async function createGoogleForm(accessToken, formTitle, base64Json) {
       }
     );
   } catch (err) {
-    throw new Error(
-      `batchUpdate failed: ${err.response?.data || err.message}`
-    );
+    let message = `batchUpdate failed: ${googleApiErrorMessage(err)}`;
+    try {
+      const auth = new google.auth.OAuth2();
+      auth.setCredentials({ access_token: accessToken });
+      await google.drive({ version: "v3", auth }).files.delete({ fileId: formId });
+    } catch (cleanupErr) {
+      message += ` (the half-built form ${formId} could not be deleted: ${googleApiErrorMessage(cleanupErr)})`;
+    }
+    throw new Error(message);
   }
 
-  // ---- STEP 5: Return Form URL ----
-  return `https://docs.google.com/forms/d/${formId}/edit`;
+  // ---- STEP 4: Return Form URL ----
+  return { url: `https://docs.google.com/forms/d/${formId}/edit`, warnings };
 }
 
 
-app.post("/upload-doc", async (req, res) => {
-  try {
-    const { html_base64, access_token, file_name } = req.body;
+// ---- Form responses ----
+// Responses go to a "Responses" tab: one row per response, one column per question (grid
+// rows get a column each) and, for quizzes, a score per graded question plus the total.
+// The Response ID column lets a later export skip the responses the sheet already has.
 
-    if (!html_base64 || !access_token || !file_name) {
-      return res.status(400).json({ error: "Missing required fields." });
-    }
+const FORM_RESPONSES_TAB = "Responses";
 
-    // Decode base64 HTML
-    const html = Buffer.from(html_base64, "base64").toString("utf8");
+async function formsApiGet(accessToken, resource, params) {
+  try {
+    const { data } = await axios.get(`https://forms.googleapis.com/v1/forms/${resource}`, {
+      headers: { Authorization: `Bearer ${accessToken}` },
+      params,
+    });
+    return data;
+  } catch (err) {
+    throw new Error(`Forms API request failed: ${googleApiErrorMessage(err)}`);
+  }
+}
 
-    const isArabic = /[\u0590-\u05FF\u0600-\u06FF]/.test(html);
+async function listFormResponses(accessToken, formId) {
+  const responses = [];
+  let pageToken;
+  do {
+    const data = await formsApiGet(accessToken, `${formId}/responses`, { pageToken });
+    responses.push(...(data.responses || []));
+    pageToken = data.nextPageToken;
+  } while (pageToken);
+  return responses.sort((a, b) => (a.lastSubmittedTime || "").localeCompare(b.lastSubmittedTime || ""));
+}
 
-    // Set up OAuth2 client
-    const oauth2Client = new google.auth.OAuth2();
-    oauth2Client.setCredentials({ access_token });
+// Answerable questions in form order: { questionId, title, graded }
+function formQuestionColumns(form) {
+  return (form.items || []).flatMap((item) => {
+    if (item.questionItem) {
+      const { question } = item.questionItem;
+      return [{ questionId: question.questionId, title: item.title || "", graded: Boolean(question.grading) }];
+    }
+    if (item.questionGroupItem) {
+      return item.questionGroupItem.questions.map((question) => ({
+        questionId: question.questionId,
+        title: `${item.title || ""} [${question.rowQuestion?.title || ""}]`,
+        graded: Boolean(question.grading),
+      }));
+    }
+    return [];
+  });
+}
 
-    // Convert HTML to DOCX buffer
-    const docxBuffer = await htmlToDocx(html);
+function formResponseHeader(columns, isQuiz) {
+  const header = ["Response ID", "Submitted at", "Respondent email", ...columns.map((column) => column.title)];
+  if (isQuiz) {
+    header.push(...columns.filter((column) => column.graded).map((column) => `Score: ${column.title}`), "Total score");
+  }
+  return header;
+}
 
-    // Save DOCX to temporary file
-    const tempPath = path.join(__dirname, "temp.docx");
-    fs.writeFileSync(tempPath, docxBuffer);
+function formResponseRow(response, columns, isQuiz) {
+  const answers = response.answers || {};
+  const answerText = (answer) => {
+    if (answer?.fileUploadAnswers) return answer.fileUploadAnswers.answers.map((file) => file.fileName).join(", ");
+    return (answer?.textAnswers?.answers || []).map((text) => text.value).join(", ");
+  };
 
-    // Upload to Google Drive
-    const drive = google.drive({ version: "v3", auth: oauth2Client });
-    const response = await drive.files.create({
-      requestBody: {
-        name: file_name,
-        mimeType: "application/vnd.google-apps.document",
-      },
-      media: {
-        mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
-        body: fs.createReadStream(tempPath),
-      },
-      fields: "id",
-    });
+  const row = [
+    response.responseId,
+    response.lastSubmittedTime || "",
+    response.respondentEmail || "",
+    ...columns.map((column) => answerText(answers[column.questionId])),
+  ];
+  if (isQuiz) {
+    const graded = columns.filter((column) => column.graded);
+    row.push(...graded.map((column) => answers[column.questionId]?.grade?.score ?? 0), response.totalScore ?? 0);
+  }
+  return row;
+}
 
-    // Clean up temp file
-    fs.unlinkSync(tempPath);
+// ---- JSON schema validation ----
+// Payload schemas live in schemas/ and are published at /schemas/<name>.schema.json.
+// The validator covers the draft-07 keywords those files use and reports field-level
+// messages such as "slides[2].left must be a non-empty array".
 
-    // Apply RTL or LTR style at Google Docs level
-    const dcoument_ID = response.data.id;
-    const docs = google.docs({ version: "v1", auth: oauth2Client });
+function loadSchema(name) {
+  return JSON.parse(fs.readFileSync(path.join(SCHEMAS_DIR, `${name}.schema.json`), "utf8"));
+}
 
-    const doc = await docs.documents.get({ documentId: dcoument_ID });
-    const endIndex = doc.data.body.content[doc.data.body.content.length - 1].endIndex;
+function jsonTypeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
 
-    await docs.documents.batchUpdate({
-      documentId: dcoument_ID,
-      requestBody: {
-        requests: [
-          {
-            updateParagraphStyle: {
-              range: {
-                startIndex: 1, // skip the first index (0 is the start of doc)
-                endIndex: endIndex,  // until the end of doc
-              },
-              paragraphStyle: {
-                direction: isArabic ? "RIGHT_TO_LEFT" : "LEFT_TO_RIGHT",
-              },
-              fields: "direction",
+function jsonTypeMatches(value, type) {
+  const actual = jsonTypeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+function describeJsonTypes(types) {
+  return types.map((type) => (/^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`)).join(" or ");
+}
+
+function schemaPath(parent, key) {
+  if (typeof key === "number") return `${parent}[${key}]`;
+  return parent ? `${parent}.${key}` : key;
+}
+
+// Follows a local "#/definitions/..." reference
+function resolveSchemaRef(schema, root) {
+  if (!schema.$ref) return schema;
+  return resolveSchemaRef(schema.$ref.replace(/^#\//, "").split("/").reduce((node, key) => node[key], root), root);
+}
+
+// Returns a list of error messages; empty means valid
+function validateJsonSchema(value, schema, root = schema, at = "") {
+  if (schema.$ref) return validateJsonSchema(value, resolveSchemaRef(schema, root), root, at);
+
+  const label = at || "payload";
+
+  if (schema.anyOf) {
+    const branches = schema.anyOf.map((branch) => resolveSchemaRef(branch, root));
+    const results = branches.map((branch) => validateJsonSchema(value, branch, root, at));
+    if (results.some((errors) => !errors.length)) return [];
+
+    // Object branches told apart by a `const` property (e.g. "type") report only the matching branch
+    const discriminator = branches
+      .map((branch) => Object.keys(branch.properties || {}).find((key) => "const" in branch.properties[key]))
+      .find(Boolean);
+    if (discriminator && jsonTypeOf(value) === "object") {
+      const allowed = branches.map((branch) => branch.properties?.[discriminator]?.const).filter((c) => c !== undefined);
+      const index = allowed.indexOf(value[discriminator]);
+      if (index === -1) return [`${schemaPath(at, discriminator)} must be one of: ${allowed.join(", ")}`];
+      return results[index];
+    }
+
+    const typed = results.filter((_, i) => !branches[i].type || jsonTypeMatches(value, branches[i].type));
+    if (!typed.length) return [`${label} must be ${describeJsonTypes(branches.map((branch) => branch.type))}`];
+    return typed[0];
+  }
+
+  if ("const" in schema && value !== schema.const) return [`${label} must be '${schema.const}'`];
+  if (schema.enum && !schema.enum.includes(value)) return [`${label} must be one of: ${schema.enum.join(", ")}`];
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => jsonTypeMatches(value, type))) {
+      if (types.includes("array") && schema.minItems) return [`${label} must be a non-empty array`];
+      return [`${label} must be ${describeJsonTypes(types)}`];
+    }
+  }
+
+  const errors = [];
+  const type = jsonTypeOf(value);
+
+  if (type === "string") {
+    if (schema.minLength && value.length < schema.minLength) {
+      errors.push(schema.minLength === 1 ? `${label} must be a non-empty string` : `${label} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength && value.length > schema.maxLength) errors.push(`${label} must be at most ${schema.maxLength} characters`);
+  }
+
+  if (type === "integer" || type === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${label} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${label} must be <= ${schema.maximum}`);
+  }
+
+  if (type === "array") {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(schema.minItems === 1 ? `${label} must be a non-empty array` : `${label} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${label} must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateJsonSchema(item, schema.items, root, schemaPath(at, i))));
+    }
+  }
+
+  if (type === "object") {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) errors.push(`${schemaPath(at, key)} is required`);
+    });
+    Object.keys(value).forEach((key) => {
+      if (schema.properties?.[key]) {
+        errors.push(...validateJsonSchema(value[key], schema.properties[key], root, schemaPath(at, key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${schemaPath(at, key)} is not allowed`);
+      }
+    });
+  }
+
+  (schema.allOf || []).forEach((sub) => errors.push(...validateJsonSchema(value, sub, root, at)));
+
+  if (schema.if) {
+    const branch = validateJsonSchema(value, schema.if, root, at).length ? schema.else : schema.then;
+    if (branch) errors.push(...validateJsonSchema(value, branch, root, at));
+  }
+
+  return errors;
+}
+
+// ---- Image hosting ----
+// Google APIs only insert images they can fetch over http(s), so data-URI images are first
+// stored in Drive (shared by link) or in the local store served from /images.
+
+const IMAGE_HOSTS = ["drive", "local"];
+
+// Generated images can also stay "inline" as data URIs in the returned HTML
+const GENERATED_IMAGE_HOSTS = ["inline", ...IMAGE_HOSTS];
+
+const IMAGE_EXTENSIONS = { "image/png": "png", "image/jpeg": "jpg", "image/gif": "gif", "image/webp": "webp" };
+
+function parseDataUri(uri) {
+  const match = String(uri || "").match(/^data:([^;,]+)(;base64)?,(.*)$/s);
+  if (!match) return null;
+  const buffer = match[2]
+    ? Buffer.from(match[3].replace(/\s+/g, ""), "base64")
+    : Buffer.from(decodeURIComponent(match[3]), "utf8");
+  return { mimeType: match[1].toLowerCase(), buffer };
+}
+
+// Stores one image and returns a public URL for it.
+// `host` is "drive" (needs `auth`, optional `folderId`) or "local" (needs PUBLIC_BASE_URL).
+// Drive file ids are pushed onto `uploads` when given, so releaseHostedImages can remove them.
+async function hostImage({ buffer, mimeType }, { host = "drive", auth, folderId, uploads } = {}) {
+  const extension = IMAGE_EXTENSIONS[mimeType] || "png";
+  const name = `${crypto.createHash("sha256").update(buffer).digest("hex").slice(0, 32)}.${extension}`;
+
+  if (host === "local") {
+    const baseUrl = process.env.PUBLIC_BASE_URL;
+    if (!baseUrl) {
+      throw new Error("PUBLIC_BASE_URL must be set to serve images from the local image host");
+    }
+    fs.mkdirSync(IMAGE_STORE_DIR, { recursive: true });
+    fs.writeFileSync(path.join(IMAGE_STORE_DIR, name), buffer);
+    return `${baseUrl.replace(/\/+$/, "")}/images/${name}`;
+  }
+
+  const drive = google.drive({ version: "v3", auth });
+  const { data } = await drive.files.create({
+    requestBody: { name, mimeType, ...(folderId ? { parents: [folderId] } : {}) },
+    media: { mimeType, body: Readable.from(buffer) },
+    fields: "id",
+  });
+  uploads?.push(data.id);
+  await drive.permissions.create({
+    fileId: data.id,
+    requestBody: { role: "reader", type: "anyone" },
+  });
+  return `https://drive.google.com/uc?export=download&id=${data.id}`;
+}
+
+// Returns a fetchable URL for any image src: http(s) URLs pass through, data URIs are
+// uploaded once per distinct image (via `cache`), anything else yields null
+async function resolveImageUrl(src, options, cache = new Map()) {
+  if (isFetchableUrl(src)) return src;
+  const image = parseDataUri(src);
+  if (!image) return null;
+  if (!cache.has(src)) cache.set(src, hostImage(image, options));
+  return cache.get(src);
+}
+
+// Rewrites data-URI <img> srcs in `html` to hosted URLs so the Docs renderer can insert them
+async function hostHtmlImages(html, options) {
+  const dom = new JSDOM(html);
+  const images = Array.from(dom.window.document.querySelectorAll("img")).filter((img) => parseDataUri(img.getAttribute("src")));
+  if (!images.length) return html;
+
+  const cache = new Map();
+  for (const img of images) {
+    img.setAttribute("src", await resolveImageUrl(img.getAttribute("src"), options, cache));
+  }
+  return dom.serialize();
+}
+
+// Deletes the Drive files hostImage made for one request. Docs and Slides keep their own copy
+// of an image once it is inserted, so the shared-by-link originals are no longer needed.
+async function releaseHostedImages({ auth, uploads = [] }) {
+  if (!uploads.length) return;
+  const drive = google.drive({ version: "v3", auth });
+  const results = await Promise.allSettled(uploads.map((fileId) => drive.files.delete({ fileId })));
+  results
+    .filter((result) => result.status === "rejected")
+    .forEach((result) => console.error("Could not delete hosted image:", result.reason.message));
+}
+
+// ---- HTML -> Google Docs renderer ----
+// Walks the HTML DOM and emits documents.batchUpdate requests directly, so headings,
+// lists, tables, links and inline styles survive without the DOCX conversion.
+
+const DOC_HEADING_STYLES = {
+  H1: "HEADING_1",
+  H2: "HEADING_2",
+  H3: "HEADING_3",
+  H4: "HEADING_4",
+  H5: "HEADING_5",
+  H6: "HEADING_6",
+};
+
+const INLINE_TAGS = new Set([
+  "A", "ABBR", "B", "BDI", "BDO", "BR", "CITE", "CODE", "DATA", "DEL", "DFN", "EM", "FONT",
+  "I", "IMG", "INS", "KBD", "LABEL", "MARK", "Q", "S", "SAMP", "SMALL", "SPAN", "STRIKE",
+  "STRONG", "SUB", "SUP", "TIME", "U", "VAR",
+]);
+
+const SKIPPED_TAGS = new Set(["HEAD", "LINK", "META", "NOSCRIPT", "SCRIPT", "STYLE", "TEMPLATE", "TITLE"]);
+
+// Every field we may set on a run; used to reset styles inherited from the insertion point
+const DOC_TEXT_STYLE_FIELDS = "bold,italic,underline,strikethrough,link,foregroundColor,backgroundColor,weightedFontFamily,fontSize,baselineOffset";
+
+const DOC_MAX_IMAGE_WIDTH_PT = 468; // 6.5in of usable width on a Letter page
+
+const CSS_NAMED_COLORS = {
+  black: "#000000", white: "#ffffff", red: "#ff0000", green: "#008000", blue: "#0000ff",
+  yellow: "#ffff00", orange: "#ffa500", purple: "#800080", gray: "#808080", grey: "#808080",
+  silver: "#c0c0c0", maroon: "#800000", navy: "#000080", teal: "#008080", olive: "#808000",
+  lime: "#00ff00", aqua: "#00ffff", cyan: "#00ffff", fuchsia: "#ff00ff", magenta: "#ff00ff",
+  pink: "#ffc0cb", brown: "#a52a2a", gold: "#ffd700", lightgray: "#d3d3d3", lightgrey: "#d3d3d3",
+  darkgray: "#a9a9a9", darkgrey: "#a9a9a9", lightblue: "#add8e6", lightgreen: "#90ee90",
+  darkblue: "#00008b", darkgreen: "#006400", darkred: "#8b0000",
+};
+
+// Parses a style="" attribute into a { property: value } map
+function parseInlineCss(styleAttr) {
+  const declarations = {};
+  (styleAttr || "").split(";").forEach((declaration) => {
+    const colon = declaration.indexOf(":");
+    if (colon === -1) return;
+    const property = declaration.slice(0, colon).trim().toLowerCase();
+    const value = declaration.slice(colon + 1).replace(/!important/i, "").trim();
+    if (property && value) declarations[property] = value;
+  });
+  return declarations;
+}
+
+// Converts a CSS color (hex, rgb()/rgba() or a common name) to a Google API rgbColor
+function parseCssColor(value) {
+  if (!value) return null;
+  let color = value.trim().toLowerCase();
+  color = CSS_NAMED_COLORS[color] || color;
+
+  const hex = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].replace(/./g, "$&$&") : hex[1];
+    return {
+      red: parseInt(digits.slice(0, 2), 16) / 255,
+      green: parseInt(digits.slice(2, 4), 16) / 255,
+      blue: parseInt(digits.slice(4, 6), 16) / 255,
+    };
+  }
+
+  const rgb = color.match(/^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)/);
+  if (rgb) {
+    return { red: rgb[1] / 255, green: rgb[2] / 255, blue: rgb[3] / 255 };
+  }
+
+  return null;
+}
+
+// Converts a CSS length (px, pt or unitless px) to points
+function parseCssLengthPt(value) {
+  const match = String(value || "").trim().match(/^(\d+(?:\.\d+)?)\s*(px|pt)?$/i);
+  if (!match) return null;
+  const number = parseFloat(match[1]);
+  return match[2] && match[2].toLowerCase() === "pt" ? number : number * 0.75;
+}
+
+const RTL_CHARS = "\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF"; // Hebrew, Arabic, Syriac, Thaana and their presentation forms
+const LTR_CHARS = "A-Za-z\u00C0-\u024F\u0370-\u052F"; // Latin, Greek, Cyrillic
+const FIRST_STRONG_CHAR = new RegExp(`[${RTL_CHARS}${LTR_CHARS}]`);
+const RTL_CHAR = new RegExp(`[${RTL_CHARS}]`);
+
+// Direction of the first strongly-directional character (like dir="auto"), or null for neutral text
+function detectTextDirection(text) {
+  const match = (text || "").match(FIRST_STRONG_CHAR);
+  if (!match) return null;
+  return RTL_CHAR.test(match[0]) ? "RIGHT_TO_LEFT" : "LEFT_TO_RIGHT";
+}
+
+// Majority direction of a whole text, used for paragraphs with no letters of their own (e.g. "1.")
+function dominantTextDirection(text) {
+  const rtl = ((text || "").match(new RegExp(`[${RTL_CHARS}]`, "g")) || []).length;
+  const ltr = ((text || "").match(new RegExp(`[${LTR_CHARS}]`, "g")) || []).length;
+  return rtl > ltr ? "RIGHT_TO_LEFT" : "LEFT_TO_RIGHT";
+}
+
+// Docs alignments are relative to the paragraph direction, CSS left/right are not
+function resolveDocAlignment(align, direction) {
+  const rtl = direction === "RIGHT_TO_LEFT";
+  switch (align) {
+    case "left":
+      return rtl ? "END" : "START";
+    case "right":
+      return rtl ? "START" : "END";
+    case "center":
+      return "CENTER";
+    case "justify":
+      return "JUSTIFIED";
+    case "end":
+      return "END";
+    default:
+      return "START";
+  }
+}
+
+function isFetchableUrl(url) {
+  return /^https?:\/\//i.test(url || "");
+}
+
+// Docs TextStyle for an inline element, layered on top of the inherited style
+function inlineTextStyle(el, inherited) {
+  const style = { ...inherited };
+
+  switch (el.tagName) {
+    case "B":
+    case "STRONG":
+      style.bold = true;
+      break;
+    case "I":
+    case "EM":
+    case "CITE":
+    case "DFN":
+    case "VAR":
+      style.italic = true;
+      break;
+    case "U":
+    case "INS":
+      style.underline = true;
+      break;
+    case "S":
+    case "STRIKE":
+    case "DEL":
+      style.strikethrough = true;
+      break;
+    case "CODE":
+    case "KBD":
+    case "SAMP":
+      style.weightedFontFamily = { fontFamily: "Courier New" };
+      break;
+    case "SUB":
+      style.baselineOffset = "SUBSCRIPT";
+      break;
+    case "SUP":
+      style.baselineOffset = "SUPERSCRIPT";
+      break;
+    case "MARK":
+      style.backgroundColor = { color: { rgbColor: parseCssColor("yellow") } };
+      break;
+    case "A": {
+      const href = el.getAttribute("href");
+      if (/^(https?:|mailto:)/i.test(href || "")) {
+        style.link = { url: href };
+        style.underline = true;
+        style.foregroundColor = { color: { rgbColor: parseCssColor("#1155cc") } };
+      }
+      break;
+    }
+    case "FONT": {
+      const color = parseCssColor(el.getAttribute("color"));
+      if (color) style.foregroundColor = { color: { rgbColor: color } };
+      break;
+    }
+  }
+
+  const css = parseInlineCss(el.getAttribute("style"));
+  const color = parseCssColor(css.color);
+  if (color) style.foregroundColor = { color: { rgbColor: color } };
+  const background = parseCssColor(css["background-color"] || css.background);
+  if (background) style.backgroundColor = { color: { rgbColor: background } };
+  if (css["font-weight"]) style.bold = css["font-weight"] === "bold" || parseInt(css["font-weight"], 10) >= 600;
+  if (css["font-style"]) style.italic = css["font-style"] === "italic";
+  if (css["text-decoration"]) {
+    style.underline = css["text-decoration"].includes("underline");
+    style.strikethrough = css["text-decoration"].includes("line-through");
+  }
+  const fontSize = parseCssLengthPt(css["font-size"]);
+  if (fontSize) style.fontSize = { magnitude: fontSize, unit: "PT" };
+
+  return style;
+}
+
+// Flattens inline content into text runs ({ text, style }) and image runs ({ image })
+function collectInlineRuns(node, style, runs, preformatted = false) {
+  if (node.nodeType === node.TEXT_NODE) {
+    const text = preformatted ? node.nodeValue : node.nodeValue.replace(/\s+/g, " ");
+    if (text) runs.push({ text, style });
+    return runs;
+  }
+
+  if (node.nodeType !== node.ELEMENT_NODE || SKIPPED_TAGS.has(node.tagName)) return runs;
+
+  if (node.tagName === "BR") {
+    runs.push({ text: "\u000b", style }); // vertical tab is a soft line break in Docs
+    return runs;
+  }
+
+  if (node.tagName === "IMG") {
+    const src = node.getAttribute("src");
+    const alt = (node.getAttribute("alt") || "").trim();
+    if (isFetchableUrl(src)) {
+      const css = parseInlineCss(node.getAttribute("style"));
+      runs.push({
+        image: {
+          uri: src,
+          alt,
+          width: parseCssLengthPt(node.getAttribute("width") || css.width),
+          height: parseCssLengthPt(node.getAttribute("height") || css.height),
+        },
+      });
+    } else if (alt) {
+      // Docs can only fetch public http(s) images; keep the alt text so nothing silently disappears
+      runs.push({ text: `[${alt}]`, style: { ...style, italic: true } });
+    }
+    return runs;
+  }
+
+  const childStyle = inlineTextStyle(node, style);
+  node.childNodes.forEach((child) => collectInlineRuns(child, childStyle, runs, preformatted));
+  return runs;
+}
+
+// Collapses whitespace across run boundaries the way a browser would and merges equal runs
+function normalizeRuns(runs) {
+  const normalized = [];
+  let atLineStart = true;
+
+  runs.forEach((run) => {
+    if (run.image) {
+      normalized.push(run);
+      atLineStart = false;
+      return;
+    }
+    let text = run.text.replace(/ ?\u000b ?/g, "\u000b");
+    if (atLineStart) text = text.replace(/^ +/, "");
+    if (!text) return;
+    normalized.push({ text, style: run.style });
+    atLineStart = /[ \u000b]$/.test(text);
+  });
+
+  while (normalized.length) {
+    const last = normalized[normalized.length - 1];
+    if (last.image) break;
+    last.text = last.text.replace(/[ \u000b]+$/, "");
+    if (last.text) break;
+    normalized.pop();
+  }
+
+  return normalized.reduce((merged, run) => {
+    const previous = merged[merged.length - 1];
+    if (previous && !previous.image && !run.image && JSON.stringify(previous.style) === JSON.stringify(run.style)) {
+      previous.text += run.text;
+    } else {
+      merged.push(run);
+    }
+    return merged;
+  }, []);
+}
+
+// Block-level paragraph settings (direction, alignment, indentation) declared on a container element
+function paragraphContext(el, ctx) {
+  const next = { ...ctx };
+  const css = parseInlineCss(el.getAttribute("style"));
+
+  // An explicit dir always wins over detection; dir="auto" switches back to detection
+  const dir = (el.getAttribute("dir") || css.direction || "").toLowerCase();
+  if (dir === "rtl") next.dir = "RIGHT_TO_LEFT";
+  else if (dir === "ltr") next.dir = "LEFT_TO_RIGHT";
+  else if (dir === "auto") next.dir = null;
+
+  const align = (css["text-align"] || el.getAttribute("align") || "").toLowerCase();
+  if (["left", "right", "center", "justify", "start", "end"].includes(align)) next.align = align;
+  if (el.tagName === "BLOCKQUOTE") next.indent = (ctx.indent || 0) + 36;
+  return next;
+}
+
+function pushDocParagraph(blocks, runs, ctx) {
+  const normalized = ctx.preformatted ? runs : normalizeRuns(runs);
+  if (!normalized.some((run) => run.image || run.text.trim())) return;
+
+  const text = normalized.map((run) => run.text || "").join("");
+  blocks.push({
+    type: "paragraph",
+    runs: normalized,
+    namedStyleType: ctx.namedStyleType || "NORMAL_TEXT",
+    direction: ctx.dir || detectTextDirection(text) || ctx.defaultDir,
+    align: ctx.align,
+    indent: ctx.indent,
+    list: ctx.list,
+  });
+}
+
+// Places cells on a row/column grid, honouring colspan and rowspan
+function layoutTableGrid(rows) {
+  const occupied = rows.map(() => new Set());
+  const cells = [];
+  let columnCount = 0;
+
+  rows.forEach((row, rowIndex) => {
+    let column = 0;
+    row.forEach((cell) => {
+      while (occupied[rowIndex].has(column)) column++;
+      const colSpan = Math.max(1, cell.colSpan || 1);
+      // rowspan="0" means "until the end of the table"
+      const rowSpan = Math.min(cell.rowSpan > 0 ? cell.rowSpan : rows.length - rowIndex, rows.length - rowIndex);
+
+      for (let r = rowIndex; r < rowIndex + rowSpan; r++) {
+        for (let c = column; c < column + colSpan; c++) occupied[r].add(c);
+      }
+
+      cells.push({ ...cell, row: rowIndex, column, rowSpan, colSpan });
+      column += colSpan;
+      columnCount = Math.max(columnCount, column);
+    });
+  });
+
+  return { rowCount: rows.length, columnCount, cells };
+}
+
+function parseDocTable(tableEl, ctx) {
+  const cellCtx = { textStyle: ctx.textStyle, dir: ctx.dir, defaultDir: ctx.defaultDir };
+  const rows = Array.from(tableEl.rows).map((row) =>
+    Array.from(row.cells).map((cell) => {
+      const blocks = [];
+      const textStyle = cell.tagName === "TH" ? { ...cellCtx.textStyle, bold: true } : cellCtx.textStyle;
+      collectDocBlocks(cell, paragraphContext(cell, { ...cellCtx, textStyle }), blocks);
+      return { colSpan: cell.colSpan, rowSpan: cell.rowSpan, blocks };
+    })
+  );
+
+  return { type: "table", ...layoutTableGrid(rows) };
+}
+
+function collectListBlocks(listEl, ctx, blocks) {
+  const parent = ctx.list;
+  const list = {
+    id: parent ? parent.id : Symbol("list"),
+    ordered: parent ? parent.ordered : listEl.tagName === "OL",
+    nesting: parent ? Math.min(parent.nesting + 1, 8) : 0, // Docs supports nesting levels 0-8
+  };
+
+  Array.from(listEl.children).forEach((child) => {
+    if (child.tagName === "LI") {
+      collectDocBlocks(child, paragraphContext(child, { ...ctx, list }), blocks);
+    } else if (child.tagName === "UL" || child.tagName === "OL") {
+      collectListBlocks(child, { ...ctx, list }, blocks);
+    }
+  });
+}
+
+function collectDocBlocks(parent, ctx, blocks) {
+  let pending = [];
+  const flush = () => {
+    pushDocParagraph(blocks, pending, ctx);
+    pending = [];
+  };
+
+  parent.childNodes.forEach((child) => {
+    if (child.nodeType === child.TEXT_NODE || (child.nodeType === child.ELEMENT_NODE && INLINE_TAGS.has(child.tagName))) {
+      collectInlineRuns(child, ctx.textStyle, pending, ctx.preformatted);
+      return;
+    }
+    if (child.nodeType !== child.ELEMENT_NODE || SKIPPED_TAGS.has(child.tagName)) return;
+
+    flush();
+    const tag = child.tagName;
+
+    if (DOC_HEADING_STYLES[tag]) {
+      collectDocBlocks(child, paragraphContext(child, { ...ctx, namedStyleType: DOC_HEADING_STYLES[tag] }), blocks);
+    } else if (tag === "UL" || tag === "OL") {
+      collectListBlocks(child, ctx, blocks);
+    } else if (tag === "TABLE") {
+      if (child.caption) collectDocBlocks(child.caption, paragraphContext(child.caption, ctx), blocks);
+      const table = parseDocTable(child, ctx);
+      if (table.rowCount && table.columnCount) blocks.push(table);
+    } else if (tag === "PRE") {
+      const runs = [];
+      const textStyle = { ...ctx.textStyle, weightedFontFamily: { fontFamily: "Courier New" } };
+      child.childNodes.forEach((node) => collectInlineRuns(node, textStyle, runs, true));
+      runs.forEach((run) => {
+        if (run.text) run.text = run.text.replace(/\r?\n/g, "\u000b");
+      });
+      while (runs.length && runs[runs.length - 1].text) {
+        const last = runs[runs.length - 1];
+        last.text = last.text.replace(/\u000b+$/, "");
+        if (last.text) break;
+        runs.pop();
+      }
+      pushDocParagraph(blocks, runs, { ...ctx, preformatted: true });
+    } else if (tag !== "HR" && tag !== "CAPTION") {
+      collectDocBlocks(child, paragraphContext(child, ctx), blocks);
+    }
+  });
+
+  flush();
+}
+
+// Parses HTML into the flat block model the Docs renderer works on: paragraphs and tables
+function parseHtmlToDocBlocks(html) {
+  const dom = new JSDOM(html);
+  const { body, documentElement } = dom.window.document;
+  const blocks = [];
+  // <html dir="rtl"> sets the direction for the whole document, and body can override it
+  const rootCtx = paragraphContext(documentElement, { textStyle: {}, defaultDir: dominantTextDirection(body.textContent) });
+  collectDocBlocks(body, paragraphContext(body, rootCtx), blocks);
+  return blocks;
+}
+
+function docImageSize(image) {
+  let { width, height } = image;
+  if (width && width > DOC_MAX_IMAGE_WIDTH_PT) {
+    if (height) height = (height * DOC_MAX_IMAGE_WIDTH_PT) / width;
+    width = DOC_MAX_IMAGE_WIDTH_PT;
+  }
+  const size = {};
+  if (width) size.width = { magnitude: width, unit: "PT" };
+  if (height) size.height = { magnitude: height, unit: "PT" };
+  return Object.keys(size).length ? size : { width: { magnitude: DOC_MAX_IMAGE_WIDTH_PT, unit: "PT" } };
+}
+
+// Emits one paragraph at `index` and returns the index right after it.
+// With `terminal` the paragraph reuses the newline already at `index` (e.g. a table cell's).
+function emitDocParagraph(block, prefix, index, requests, terminal) {
+  let text = prefix;
+  let offset = prefix.length;
+  const images = [];
+  const styledRuns = [];
+
+  block.runs.forEach((run) => {
+    if (run.image) {
+      images.push({ offset, image: run.image });
+      offset += 1;
+      return;
+    }
+    styledRuns.push({ start: offset, end: offset + run.text.length, style: run.style });
+    text += run.text;
+    offset += run.text.length;
+  });
+
+  if (!terminal) text += "\n";
+  if (text) requests.push({ insertText: { location: { index }, text } });
+
+  // Images go in ascending order at their final offsets, once the text around them exists
+  images.forEach(({ offset: imageOffset, image }) => {
+    requests.push({
+      insertInlineImage: {
+        location: { index: index + imageOffset },
+        uri: image.uri,
+        objectSize: docImageSize(image),
+      },
+    });
+  });
+
+  const paragraphStyle = {
+    namedStyleType: block.namedStyleType,
+    direction: block.direction,
+    alignment: resolveDocAlignment(block.align, block.direction),
+  };
+  if (block.indent) {
+    paragraphStyle.indentStart = { magnitude: block.indent, unit: "PT" };
+    paragraphStyle.indentFirstLine = { magnitude: block.indent, unit: "PT" };
+  }
+  requests.push({
+    updateParagraphStyle: {
+      range: { startIndex: index, endIndex: index + offset + 1 },
+      paragraphStyle,
+      fields: Object.keys(paragraphStyle).join(","),
+    },
+  });
+
+  if (styledRuns.length && offset > 0) {
+    requests.push({
+      updateTextStyle: {
+        range: { startIndex: index, endIndex: index + offset },
+        textStyle: {},
+        fields: DOC_TEXT_STYLE_FIELDS,
+      },
+    });
+  }
+
+  styledRuns.forEach(({ start, end, style }) => {
+    const fields = Object.keys(style || {});
+    if (!fields.length || start === end) return;
+    requests.push({
+      updateTextStyle: {
+        range: { startIndex: index + start, endIndex: index + end },
+        textStyle: style,
+        fields: fields.join(","),
+      },
+    });
+  });
+
+  return index + offset + (terminal ? 0 : 1);
+}
+
+// Inserts an empty table, fills its cells back to front so earlier indices stay valid,
+// and queues merges for the end of the batch. Returns the index right after the table.
+function emitDocTable(block, index, requests, deferred) {
+  const { rowCount, columnCount, cells } = block;
+  requests.push({ insertTable: { rows: rowCount, columns: columnCount, location: { index } } });
+
+  // insertTable adds a newline first; then: table start, and per row a row marker plus
+  // two indices (cell marker + empty paragraph) per column
+  const tableStart = index + 1;
+  const cellContentIndex = (row, column) => tableStart + 3 + row * (2 * columnCount + 1) + 2 * column;
+
+  let inserted = 0;
+  [...cells].reverse().forEach((cell) => {
+    const start = cellContentIndex(cell.row, cell.column);
+    if (cell.blocks.length) {
+      const rendered = buildDocRequests(cell.blocks, start, { fillsExistingParagraph: true });
+      requests.push(...rendered.requests);
+      deferred.push(...rendered.deferred);
+      inserted += rendered.endIndex - start;
+    }
+    if (cell.rowSpan > 1 || cell.colSpan > 1) {
+      deferred.push({
+        mergeTableCells: {
+          tableRange: {
+            tableCellLocation: {
+              tableStartLocation: { index: tableStart },
+              rowIndex: cell.row,
+              columnIndex: cell.column,
             },
+            rowSpan: cell.rowSpan,
+            columnSpan: cell.colSpan,
           },
-        ],
+        },
+      });
+    }
+  });
+
+  return tableStart + 2 + rowCount * (2 * columnCount + 1) + inserted;
+}
+
+function buildDocRequests(blocks, startIndex, { fillsExistingParagraph = false } = {}) {
+  const requests = [];
+  const deferred = [];
+  let index = startIndex;
+  let listGroup = null;
+
+  // createParagraphBullets turns leading tabs into nesting levels and removes them
+  const closeList = () => {
+    if (!listGroup) return;
+    requests.push({
+      createParagraphBullets: {
+        range: { startIndex: listGroup.start, endIndex: index },
+        bulletPreset: listGroup.ordered ? "NUMBERED_DECIMAL_ALPHA_ROMAN" : "BULLET_DISC_CIRCLE_SQUARE",
+      },
+    });
+    index -= listGroup.tabs;
+    listGroup = null;
+  };
+
+  blocks.forEach((block, i) => {
+    if (!block.list || !listGroup || block.list.id !== listGroup.id) closeList();
+
+    if (block.type === "table") {
+      index = emitDocTable(block, index, requests, deferred);
+      return;
+    }
+
+    let prefix = "";
+    if (block.list) {
+      if (!listGroup) listGroup = { id: block.list.id, ordered: block.list.ordered, start: index, tabs: 0 };
+      prefix = "\t".repeat(block.list.nesting);
+      listGroup.tabs += prefix.length;
+    }
+
+    const terminal = fillsExistingParagraph && i === blocks.length - 1;
+    index = emitDocParagraph(block, prefix, index, requests, terminal);
+  });
+  closeList();
+
+  return { requests, deferred, endIndex: index };
+}
+
+// Full request list for rendering `html` at `index`; merges run last, later tables first
+function buildDocRequestsFromHtml(html, index, options) {
+  const { requests, deferred, endIndex } = buildDocRequests(parseHtmlToDocBlocks(html), index, options);
+  return { requests: [...requests, ...deferred.reverse()], endIndex };
+}
+
+// `setupRequests` run first in the same batch, e.g. to open up the paragraph we insert into
+async function renderHtmlIntoDoc(docs, documentId, html, index, { setupRequests = [], ...options } = {}) {
+  const rendered = buildDocRequestsFromHtml(html, index, options);
+  const requests = [...setupRequests, ...rendered.requests];
+  const { endIndex } = rendered;
+  if (requests.length) {
+    await docs.documents.batchUpdate({ documentId, requestBody: { requests } });
+  }
+  return endIndex;
+}
+
+const DOC_INSERT_MODES = ["append", "after_heading", "replace"];
+
+function docParagraphText(paragraph) {
+  return (paragraph.elements || []).map((el) => el.textRun?.content || "").join("");
+}
+
+// Clears list membership and indents the paragraph at `index` may have inherited from
+// the paragraph it was split off or reused from, so rendered content starts plain
+function plainParagraphRequests(index, extraStyle = {}) {
+  const range = { startIndex: index, endIndex: index + 1 };
+  const paragraphStyle = {
+    ...extraStyle,
+    indentStart: { magnitude: 0, unit: "PT" },
+    indentFirstLine: { magnitude: 0, unit: "PT" },
+  };
+  return [
+    { deleteParagraphBullets: { range } },
+    { updateParagraphStyle: { range, paragraphStyle, fields: Object.keys(paragraphStyle).join(",") } },
+  ];
+}
+
+// Finds where new content goes in an existing document. Every mode leaves an empty
+// paragraph at `index` (created by `setupRequests` where needed) for the renderer to fill.
+// Returns null when the requested heading does not exist.
+async function resolveDocInsertion(docs, documentId, mode, heading) {
+  const { data } = await docs.documents.get({ documentId });
+  const content = data.body.content;
+  const last = content[content.length - 1];
+
+  if (mode === "replace") {
+    // The final newline of the body can never be deleted
+    const setupRequests = last.endIndex - 1 > 1
+      ? [{ deleteContentRange: { range: { startIndex: 1, endIndex: last.endIndex - 1 } } }]
+      : [];
+    return { index: 1, setupRequests: [...setupRequests, ...plainParagraphRequests(1)] };
+  }
+
+  if (mode === "after_heading") {
+    const wanted = heading.replace(/\s+/g, " ").trim().toLowerCase();
+    const match = content.find((element) =>
+      /^(HEADING_\d|TITLE|SUBTITLE)$/.test(element.paragraph?.paragraphStyle?.namedStyleType || "") &&
+      docParagraphText(element.paragraph).replace(/\s+/g, " ").trim().toLowerCase() === wanted
+    );
+    if (!match) return null;
+
+    // Split a fresh paragraph off the end of the heading and make it body text again
+    return {
+      index: match.endIndex,
+      setupRequests: [
+        { insertText: { location: { index: match.endIndex - 1 }, text: "\n" } },
+        ...plainParagraphRequests(match.endIndex, { namedStyleType: "NORMAL_TEXT" }),
+      ],
+    };
+  }
+
+  // append: reuse the final paragraph if it is empty, otherwise open a new one after it
+  if (last.endIndex - last.startIndex <= 1) {
+    return { index: last.startIndex, setupRequests: plainParagraphRequests(last.startIndex) };
+  }
+  return {
+    index: last.endIndex,
+    setupRequests: [
+      { insertText: { location: { index: last.endIndex - 1 }, text: "\n" } },
+      ...plainParagraphRequests(last.endIndex),
+    ],
+  };
+}
+
+// Paragraph blocks in reading order, table cells included (see parseHtmlToDocBlocks)
+function flattenDocParagraphBlocks(blocks, paragraphs = []) {
+  blocks.forEach((block) => {
+    if (block.type === "table") block.cells.forEach((cell) => flattenDocParagraphBlocks(cell.blocks, paragraphs));
+    else paragraphs.push(block);
+  });
+  return paragraphs;
+}
+
+const comparableText = (text) => text.replace(/\s+/g, " ").trim();
+
+// How far ahead a document paragraph is looked for among the source paragraphs, since
+// the conversion can drop or merge a few
+const DIRECTION_MATCH_LOOKAHEAD = 5;
+
+// Per-paragraph direction for an existing document body (paragraphs, table cells and
+// list items alike), used where we did not build the paragraphs ourselves. With `sources`
+// (the paragraph blocks the document was made from, in order), a paragraph whose text
+// matches one takes that block's direction, so an explicit dir wins, and its alignment.
+function buildDirectionRequestsForContent(content, fallbackDirection, { sources = [], requests = [], cursor = { next: 0 } } = {}) {
+  (content || []).forEach((element) => {
+    if (element.table) {
+      element.table.tableRows.forEach((row) =>
+        row.tableCells.forEach((cell) =>
+          buildDirectionRequestsForContent(cell.content, fallbackDirection, { sources, requests, cursor })
+        )
+      );
+      return;
+    }
+    if (!element.paragraph) return;
+
+    const text = docParagraphText(element.paragraph);
+    let source = null;
+    if (comparableText(text)) {
+      const candidates = sources.slice(cursor.next, cursor.next + DIRECTION_MATCH_LOOKAHEAD);
+      const found = candidates.findIndex((block) => comparableText(block.runs.map((run) => run.text || "").join("")) === comparableText(text));
+      if (found !== -1) {
+        source = candidates[found];
+        cursor.next += found + 1;
+      }
+    }
+
+    const paragraphStyle = source
+      ? { direction: source.direction, alignment: resolveDocAlignment(source.align, source.direction) }
+      : { direction: detectTextDirection(text) || fallbackDirection };
+    requests.push({
+      updateParagraphStyle: {
+        range: { startIndex: element.startIndex, endIndex: element.endIndex },
+        paragraphStyle,
+        fields: Object.keys(paragraphStyle).join(","),
+      },
+    });
+  });
+  return requests;
+}
+
+// Legacy path: convert to DOCX and let Drive import it as a Google Doc
+async function uploadHtmlAsConvertedDocx(auth, html, fileName) {
+  // Convert HTML to DOCX buffer
+  const docxBuffer = await htmlToDocx(html);
+
+  // Save DOCX to temporary file
+  const tempPath = path.join(__dirname, "temp.docx");
+  fs.writeFileSync(tempPath, docxBuffer);
+
+  // Upload to Google Drive
+  const drive = google.drive({ version: "v3", auth });
+  const response = await drive.files.create({
+    requestBody: {
+      name: fileName,
+      mimeType: "application/vnd.google-apps.document",
+    },
+    media: {
+      mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      body: fs.createReadStream(tempPath),
+    },
+    fields: "id",
+  });
+
+  // Clean up temp file
+  fs.unlinkSync(tempPath);
+
+  return response.data.id;
+}
+
+const DOC_RENDER_MODES = ["native", "docx"];
+
+app.post("/upload-doc", async (req, res) => {
+  try {
+    const {
+      html_base64,
+      access_token,
+      file_name,
+      render_mode = "native",
+      document_id,
+      insert_mode = "append",
+      heading,
+      image_host = process.env.IMAGE_HOST || "drive",
+      image_folder_id = process.env.DRIVE_IMAGE_FOLDER_ID,
+      keep_hosted_images = false,
+    } = req.body;
+
+    if (!html_base64 || !access_token || (!file_name && !document_id)) {
+      return res.status(400).json({ error: "Missing required fields." });
+    }
+
+    if (!DOC_RENDER_MODES.includes(render_mode)) {
+      return res.status(400).json({
+        error: `Unsupported render_mode '${render_mode}'. Use one of: ${DOC_RENDER_MODES.join(", ")}`,
+      });
+    }
+
+    if (!IMAGE_HOSTS.includes(image_host)) {
+      return res.status(400).json({
+        error: `Unsupported image_host '${image_host}'. Use one of: ${IMAGE_HOSTS.join(", ")}`,
+      });
+    }
+
+    if (typeof keep_hosted_images !== "boolean") {
+      return res.status(400).json({ error: "'keep_hosted_images' must be a boolean" });
+    }
+
+    if (document_id) {
+      if (render_mode !== "native") {
+        return res.status(400).json({ error: "document_id is only supported with render_mode 'native'" });
+      }
+      if (!DOC_INSERT_MODES.includes(insert_mode)) {
+        return res.status(400).json({
+          error: `Unsupported insert_mode '${insert_mode}'. Use one of: ${DOC_INSERT_MODES.join(", ")}`,
+        });
+      }
+      if (insert_mode === "after_heading" && !heading) {
+        return res.status(400).json({ error: "insert_mode 'after_heading' requires 'heading'" });
+      }
+    }
+
+    // Decode base64 HTML
+    const html = Buffer.from(html_base64, "base64").toString("utf8");
+
+    // Set up OAuth2 client
+    const oauth2Client = new google.auth.OAuth2();
+    oauth2Client.setCredentials({ access_token });
+
+    const docs = google.docs({ version: "v1", auth: oauth2Client });
+
+    // Data-URI images (e.g. from /generate-with-image) reach the native renderer as hosted URLs.
+    // Their Drive copies are deleted once the document has them, unless `keep_hosted_images`.
+    const hosting = { host: image_host, auth: oauth2Client, folderId: image_folder_id, uploads: [] };
+    let documentId;
+    try {
+      if (document_id) {
+        // Existing document: only the inserted range is rendered (and given a direction)
+        const insertion = await resolveDocInsertion(docs, document_id, insert_mode, heading);
+        if (!insertion) {
+          return res.status(404).json({ error: `Heading '${heading}' not found in document` });
+        }
+        documentId = document_id;
+        await renderHtmlIntoDoc(docs, documentId, await hostHtmlImages(html, hosting), insertion.index, {
+          setupRequests: insertion.setupRequests,
+          fillsExistingParagraph: true,
+        });
+      } else if (render_mode === "docx") {
+        documentId = await uploadHtmlAsConvertedDocx(oauth2Client, html, file_name);
+
+        // Converted DOCX carries no usable direction, so set it per paragraph on the result,
+        // from the matching source paragraph (explicit dir and alignment) or by detection
+        const doc = await docs.documents.get({ documentId });
+        const fallbackDirection = dominantTextDirection(new JSDOM(html).window.document.body.textContent);
+        const requests = buildDirectionRequestsForContent(doc.data.body.content, fallbackDirection, {
+          sources: flattenDocParagraphBlocks(parseHtmlToDocBlocks(html)),
+        });
+        if (requests.length) {
+          await docs.documents.batchUpdate({ documentId, requestBody: { requests } });
+        }
+      } else {
+        // The native renderer sets direction and alignment on every paragraph it emits
+        const hostedHtml = await hostHtmlImages(html, hosting);
+        const created = await docs.documents.create({ requestBody: { title: file_name } });
+        documentId = created.data.documentId;
+        await renderHtmlIntoDoc(docs, documentId, hostedHtml, 1);
+      }
+    } finally {
+      if (!keep_hosted_images) await releaseHostedImages(hosting);
+    }
+
+    // Return Google Docs link
+    const docUrl = `https://docs.google.com/document/d/${documentId}/edit`;
+    res.json({ url: docUrl });
+
+  } catch (error) {
+    console.error("Upload error:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rows of a table, skipping rows that belong to tables nested inside it
+function tableRows(table) {
+  return selectAll("tr", table).filter((row) => {
+    let parent = row.parent;
+    while (parent && parent.name !== "table") parent = parent.parent;
+    return parent === table;
+  });
+}
+
+function isNestedTable(table) {
+  for (let parent = table.parent; parent; parent = parent.parent) {
+    if (parent.name === "table") return true;
+  }
+  return false;
+}
+
+// Sheets TextFormat for the inline CSS of a cell or of markup inside it
+function sheetTextFormatFromCss(css) {
+  const format = {};
+  const color = parseCssColor(css.color);
+  if (color) format.foregroundColor = color;
+  if (css["font-weight"]) format.bold = css["font-weight"] === "bold" || parseInt(css["font-weight"], 10) >= 600;
+  if (css["font-style"]) format.italic = css["font-style"] === "italic";
+  if (css["text-decoration"]) {
+    format.underline = css["text-decoration"].includes("underline");
+    format.strikethrough = css["text-decoration"].includes("line-through");
+  }
+  const fontSize = parseCssLengthPt(css["font-size"]);
+  if (fontSize) format.fontSize = Math.round(fontSize);
+  return format;
+}
+
+// Cell-level userEnteredFormat (everything except text) for the inline CSS of a cell
+function sheetCellFormatFromCss(css) {
+  const format = {};
+  const background = parseCssColor(css["background-color"] || css.background);
+  if (background) format.backgroundColor = background;
+
+  const horizontal = { left: "LEFT", start: "LEFT", center: "CENTER", right: "RIGHT", end: "RIGHT" }[css["text-align"]];
+  if (horizontal) format.horizontalAlignment = horizontal;
+  const vertical = { top: "TOP", middle: "MIDDLE", bottom: "BOTTOM" }[css["vertical-align"]];
+  if (vertical) format.verticalAlignment = vertical;
+
+  if (css["white-space"] === "nowrap") format.wrapStrategy = "OVERFLOW_CELL";
+  else if (["normal", "pre-wrap", "pre-line"].includes(css["white-space"])) format.wrapStrategy = "WRAP";
+  if (css["overflow-wrap"] === "break-word" || css["word-wrap"] === "break-word") format.wrapStrategy = "WRAP";
+  return format;
+}
+
+// Text runs of a cell ({ text, style: Sheets TextFormat }), following <b>/<i>/<u>/<s> and inline CSS
+function collectSheetRuns(node, format, runs) {
+  if (node.type === "text") {
+    runs.push({ text: node.data.replace(/\s+/g, " "), style: format });
+    return runs;
+  }
+  if (node.type !== "tag") return runs;
+
+  if (node.name === "br") {
+    runs.push({ text: "\u000b", style: format });
+    return runs;
+  }
+
+  const next = { ...format };
+  if (node.name === "b" || node.name === "strong") next.bold = true;
+  if (node.name === "i" || node.name === "em") next.italic = true;
+  if (node.name === "u") next.underline = true;
+  if (node.name === "s" || node.name === "strike" || node.name === "del") next.strikethrough = true;
+  Object.assign(next, sheetTextFormatFromCss(parseInlineCss(node.attribs.style)));
+
+  node.children.forEach((child) => collectSheetRuns(child, next, runs));
+  return runs;
+}
+
+function parseSheetCell(cell, rowCss) {
+  const css = { ...rowCss, ...parseInlineCss(cell.attribs.style) };
+  const format = sheetCellFormatFromCss(css);
+  const textFormat = { ...(cell.name === "th" ? { bold: true } : {}), ...sheetTextFormatFromCss(css) };
+
+  const runs = normalizeRuns(cell.children.flatMap((child) => collectSheetRuns(child, {}, [])))
+    .map((run) => ({ ...run, text: run.text.replace(/\u000b/g, "\n") }));
+  const text = runs.map((run) => run.text).join("");
+  if (text.includes("\n") && !format.wrapStrategy) format.wrapStrategy = "WRAP";
+
+  // Markup covering the whole cell becomes the cell's format; mixed markup becomes text runs
+  let textFormatRuns = null;
+  const styles = runs.map((run) => JSON.stringify(run.style));
+  if (runs.length && styles.every((style) => style === styles[0])) {
+    Object.assign(textFormat, runs[0].style);
+  } else if (runs.length) {
+    let startIndex = 0;
+    textFormatRuns = runs.map((run) => {
+      const formatRun = { startIndex, format: run.style };
+      startIndex += run.text.length;
+      return formatRun;
+    });
+  }
+  if (Object.keys(textFormat).length) format.textFormat = textFormat;
+
+  const span = (name) => parseInt(cell.attribs[name], 10);
+  return {
+    colSpan: span("colspan") > 0 ? span("colspan") : 1,
+    rowSpan: span("rowspan") >= 0 ? span("rowspan") : 1,
+    text,
+    format,
+    textFormatRuns,
+  };
+}
+
+// Every top-level <table> in the HTML, named after its <caption> or the closest heading before it.
+// Cells are placed on a grid (colspan/rowspan aware) and `values` is that grid as plain text.
+function extractTablesFromHtml(html) {
+  const dom = parseDocument(html);
+  const tables = [];
+  let lastHeading = "";
+
+  selectAll("h1, h2, h3, h4, h5, h6, table", dom).forEach((el) => {
+    if (el.name !== "table") {
+      lastHeading = textContent(el).replace(/\s+/g, " ").trim();
+      return;
+    }
+    if (isNestedTable(el)) return;
+
+    const caption = el.children.find((child) => child.name === "caption");
+    const rows = tableRows(el).map((row) => {
+      const rowCss = parseInlineCss(row.attribs.style);
+      return row.children
+        .filter((cell) => cell.name === "td" || cell.name === "th")
+        .map((cell) => parseSheetCell(cell, rowCss));
+    });
+
+    const grid = layoutTableGrid(rows);
+    const values = Array.from({ length: grid.rowCount }, () => Array(grid.columnCount).fill(""));
+    grid.cells.forEach((cell) => {
+      values[cell.row][cell.column] = cell.text;
+    });
+
+    tables.push({
+      title: (caption && textContent(caption).replace(/\s+/g, " ").trim()) || lastHeading,
+      values,
+      ...grid,
+    });
+    // A heading names only the first table after it
+    lastHeading = "";
+  });
+
+  return tables;
+}
+
+// Tab titles must be unique within a spreadsheet and at most 100 characters
+function uniqueSheetTitles(titles) {
+  const used = new Set();
+  return titles.map((title, index) => {
+    const base = (title || `Sheet${index + 1}`).slice(0, 90);
+    let candidate = base;
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) candidate = `${base} (${n})`;
+    used.add(candidate.toLowerCase());
+    return candidate;
+  });
+}
+
+// A1 reference to the top-left cell of a tab, quoting the title as Sheets requires
+function sheetRangeStart(title) {
+  return `'${title.replace(/'/g, "''")}'!A1`;
+}
+
+// Named color schemes for /create-styled-sheet; "classic" is the original blue header
+const SHEET_THEMES = {
+  classic: {
+    header: { background: "#4052b5", text: "#ffffff", fontSize: 12 },
+    body: { fontSize: 11, stripes: ["#ffffff", "#fafafa"] },
+  },
+  forest: {
+    header: { background: "#2e7d32", text: "#ffffff", fontSize: 12 },
+    body: { fontSize: 11, stripes: ["#ffffff", "#f1f8e9"] },
+  },
+  sunset: {
+    header: { background: "#e65100", text: "#ffffff", fontSize: 12 },
+    body: { fontSize: 11, stripes: ["#ffffff", "#fff3e0"] },
+  },
+  slate: {
+    header: { background: "#37474f", text: "#ffffff", fontSize: 12 },
+    body: { fontSize: 11, stripes: ["#ffffff", "#eceff1"] },
+  },
+  minimal: {
+    header: { background: "#ffffff", text: "#000000", fontSize: 11 },
+    body: { fontSize: 11, stripes: ["#ffffff", "#ffffff"] },
+  },
+};
+
+// Themed header row plus zebra-striped body rows for one tab. Rows before `firstRow` are left
+// alone, for when rows are appended to a tab that is already styled.
+function buildSheetStyleRequests(sheetId, rowCount, theme = SHEET_THEMES.classic, firstRow = 0) {
+  // Format header row
+  const headerStyle = {
+    repeatCell: {
+      range: {
+        sheetId,
+        startRowIndex: 0,
+        endRowIndex: 1,
+      },
+      cell: {
+        userEnteredFormat: {
+          backgroundColor: parseCssColor(theme.header.background),
+          horizontalAlignment: "LEFT",
+          textFormat: {
+            foregroundColor: parseCssColor(theme.header.text),
+            fontSize: theme.header.fontSize,
+            bold: true,
+          },
+        },
+      },
+      fields: "userEnteredFormat(backgroundColor,textFormat,horizontalAlignment)",
+    },
+  };
+
+  // Format alternating body rows
+  const bodyStyles = Array.from({ length: Math.max(rowCount - 1, 0) }, (_, i) => ({
+    repeatCell: {
+      range: {
+        sheetId,
+        startRowIndex: i + 1,
+        endRowIndex: i + 2,
+      },
+      cell: {
+        userEnteredFormat: {
+          backgroundColor: parseCssColor(theme.body.stripes[i % 2]),
+          textFormat: { fontSize: theme.body.fontSize },
+        },
+      },
+      fields: "userEnteredFormat(backgroundColor,textFormat.fontSize)",
+    },
+  }));
+
+  return [headerStyle, ...bodyStyles].filter((request) => request.repeatCell.range.startRowIndex >= firstRow);
+}
+
+// Field mask for a userEnteredFormat, listing only the properties that are set
+function sheetFormatFields(format) {
+  const fields = Object.keys(format).flatMap((key) =>
+    key === "textFormat" ? Object.keys(format.textFormat).map((sub) => `textFormat.${sub}`) : [key]
+  );
+  return `userEnteredFormat(${fields.join(",")})`;
+}
+
+// Merges and per-cell formats from the HTML; runs after the theme styles so inline styles win
+function buildSheetCellRequests(sheetId, table) {
+  const requests = [];
+
+  table.cells.forEach((cell) => {
+    const range = {
+      sheetId,
+      startRowIndex: cell.row,
+      endRowIndex: cell.row + cell.rowSpan,
+      startColumnIndex: cell.column,
+      endColumnIndex: cell.column + cell.colSpan,
+    };
+
+    if (cell.rowSpan > 1 || cell.colSpan > 1) {
+      requests.push({ mergeCells: { range, mergeType: "MERGE_ALL" } });
+    }
+
+    if (Object.keys(cell.format).length) {
+      requests.push({
+        repeatCell: {
+          range,
+          cell: { userEnteredFormat: cell.format },
+          fields: sheetFormatFields(cell.format),
+        },
+      });
+    }
+
+    if (cell.textFormatRuns) {
+      requests.push({
+        updateCells: {
+          start: { sheetId, rowIndex: cell.row, columnIndex: cell.column },
+          rows: [{ values: [{ textFormatRuns: cell.textFormatRuns }] }],
+          fields: "textFormatRuns",
+        },
+      });
+    }
+  });
+
+  return requests;
+}
+
+// ---- Typed sheet values ----
+
+const SHEET_VALUE_TYPES = ["text", "number", "percent", "currency", "date"];
+
+const SHEET_EPOCH_MS = Date.UTC(1899, 11, 30); // day 0 of Sheets date serials
+
+function decimalPlaces(numberText) {
+  const dot = numberText.indexOf(".");
+  return dot === -1 ? 0 : numberText.length - dot - 1;
+}
+
+function parsePlainNumber(text) {
+  const match = text.match(/^([-+]?(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?|[-+]?\.\d+)$/);
+  if (!match) return null;
+  const digits = match[1].replace(/,/g, "");
+  return { value: parseFloat(digits), decimals: decimalPlaces(digits) };
+}
+
+const SHEET_MONTHS = ["january", "february", "march", "april", "may", "june", "july", "august", "september", "october", "november", "december"];
+
+// 0-based month for a month name or its abbreviation ("Mar", "Sept", "march"), else -1
+function sheetMonthIndex(name) {
+  const lower = name.toLowerCase();
+  return SHEET_MONTHS.findIndex((month) => lower.length >= 3 && month.startsWith(lower));
+}
+
+// Sheets serial for ISO dates ("2025-03-05") and spelled-out months ("5 March 2025",
+// "Mar 5, 2025"); numeric D/M vs M/D is too ambiguous. Dates before 1900 are not dates.
+function parseSheetDate(text) {
+  const iso = text.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/);
+  const dayFirst = text.match(/^(\d{1,2}) ([A-Za-z]{3,9})\.? (\d{4})$/);
+  const monthFirst = text.match(/^([A-Za-z]{3,9})\.? (\d{1,2}),? (\d{4})$/);
+
+  let parts = null;
+  if (iso) parts = { year: +iso[1], month: +iso[2] - 1, day: +iso[3] };
+  else if (dayFirst) parts = { year: +dayFirst[3], month: sheetMonthIndex(dayFirst[2]), day: +dayFirst[1] };
+  else if (monthFirst) parts = { year: +monthFirst[3], month: sheetMonthIndex(monthFirst[1]), day: +monthFirst[2] };
+  if (!parts || parts.month < 0 || parts.month > 11 || parts.year < 1900) return null;
+
+  // Rejects days past the end of the month instead of rolling over ("31 Feb")
+  const date = new Date(Date.UTC(parts.year, parts.month, parts.day));
+  if (date.getUTCMonth() !== parts.month || date.getUTCDate() !== parts.day) return null;
+  return Math.round((date.getTime() - SHEET_EPOCH_MS) / 86400000);
+}
+
+// Parses one cell as `type`, or detects the type when none is given.
+// Returns { type, value, decimals, symbol } or null when the text is not of that type.
+function parseTypedValue(text, type) {
+  const trimmed = text.trim();
+  if (!trimmed || type === "text") return null;
+
+  // Codes like "007" would lose their zeros as numbers, so only a column hint makes them one
+  if (!type && /^[-+]?0\d/.test(trimmed) && parseSheetDate(trimmed) === null) return null;
+
+  if (!type || type === "percent") {
+    const match = trimmed.match(/^(.+?)\s*%$/);
+    // With an explicit percent hint, bare numbers are percentage points ("87" -> 87%)
+    const number = parsePlainNumber(match ? match[1] : type ? trimmed : "");
+    if (number) return { type: "percent", value: number.value / 100, decimals: number.decimals };
+  }
+
+  if (!type || type === "currency") {
+    const match = trimmed.match(/^([$€£¥])\s?(.+)$/) || trimmed.match(/^(.+?)\s?([$€£¥])$/);
+    if (match) {
+      const [symbol, amount] = /[$€£¥]/.test(match[1]) ? [match[1], match[2]] : [match[2], match[1]];
+      const number = parsePlainNumber(amount);
+      if (number) return { type: "currency", value: number.value, decimals: 2, symbol };
+    }
+  }
+
+  if (!type || type === "number") {
+    const number = parsePlainNumber(trimmed);
+    if (number) return { type: "number", value: number.value, decimals: number.decimals };
+  }
+
+  if (!type || type === "date") {
+    const serial = parseSheetDate(trimmed);
+    if (serial !== null) return { type: "date", value: serial };
+  }
+
+  return null;
+}
+
+function columnLetter(index) {
+  let letter = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+}
+
+function columnIndexFromLetter(letters) {
+  return letters.toUpperCase().split("").reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+}
+
+// A column hint comes from an array (by position) or an object keyed by header text or column letter
+function columnTypeHint(columnTypes, header, index) {
+  if (!columnTypes) return undefined;
+  if (Array.isArray(columnTypes)) return columnTypes[index] || undefined;
+  const byHeader = Object.keys(columnTypes).find((key) => key.trim().toLowerCase() === header.trim().toLowerCase());
+  return columnTypes[byHeader] || columnTypes[columnLetter(index)] || undefined;
+}
+
+function invalidColumnTypes(columnTypes) {
+  const hints = Array.isArray(columnTypes) ? columnTypes : Object.values(columnTypes || {});
+  return hints.filter((hint) => hint && !SHEET_VALUE_TYPES.includes(hint));
+}
+
+function sheetNumberFormat({ type, decimals, symbol }) {
+  const fraction = decimals ? `.${"0".repeat(decimals)}` : "";
+  switch (type) {
+    case "percent":
+      return { type: "PERCENT", pattern: `0${fraction}%` };
+    case "currency":
+      return { type: "CURRENCY", pattern: `"${symbol}"#,##0.00` };
+    case "date":
+      return { type: "DATE", pattern: "yyyy-mm-dd" };
+    default:
+      return { type: "NUMBER", pattern: `#,##0${fraction}` };
+  }
+}
+
+// Writes the grid as typed cells: the first row stays text, "=" cells become formulas, and a
+// column becomes numeric only when it is hinted or every non-empty body cell parses the same way
+function buildTypedSheetRequests(sheetId, table, columnTypes) {
+  const header = table.values[0] || [];
+  const cellValues = table.values.map((row) => row.map((text) => ({ stringValue: text })));
+  const requests = [];
+
+  for (let column = 0; column < table.columnCount; column++) {
+    const hint = columnTypeHint(columnTypes, header[column] || "", column);
+    const parsed = [];
+
+    for (let row = 1; row < table.values.length; row++) {
+      const text = table.values[row][column];
+      if (text.startsWith("=")) {
+        cellValues[row][column] = { formulaValue: text };
+      } else if (text.trim()) {
+        parsed.push({ row, result: parseTypedValue(text, hint) });
+      }
+    }
+
+    const typed = parsed.filter(({ result }) => result);
+    const types = new Set(typed.map(({ result }) => result.type));
+    const uniform = types.size === 1 && (hint || typed.length === parsed.length);
+    if (!typed.length || !uniform) continue;
+
+    typed.forEach(({ row, result }) => {
+      cellValues[row][column] = { numberValue: result.value };
+    });
+
+    const numberFormat = sheetNumberFormat({
+      ...typed[0].result,
+      decimals: Math.max(...typed.map(({ result }) => result.decimals || 0)),
+    });
+    requests.push({
+      repeatCell: {
+        range: {
+          sheetId,
+          startRowIndex: 1,
+          endRowIndex: table.rowCount,
+          startColumnIndex: column,
+          endColumnIndex: column + 1,
+        },
+        cell: { userEnteredFormat: { numberFormat } },
+        fields: "userEnteredFormat.numberFormat",
+      },
+    });
+  }
+
+  requests.unshift({
+    updateCells: {
+      start: { sheetId, rowIndex: 0, columnIndex: 0 },
+      rows: cellValues.map((row) => ({ values: row.map((userEnteredValue) => ({ userEnteredValue })) })),
+      fields: "userEnteredValue",
+    },
+  });
+
+  return requests;
+}
+
+// ---- Sheet presentation options ----
+
+// Friendly comparison operators, alongside the API's own condition type names
+const SHEET_CONDITIONS = {
+  "<": "NUMBER_LESS",
+  "<=": "NUMBER_LESS_THAN_EQ",
+  ">": "NUMBER_GREATER",
+  ">=": "NUMBER_GREATER_THAN_EQ",
+  "=": "NUMBER_EQ",
+  "!=": "NUMBER_NOT_EQ",
+  between: "NUMBER_BETWEEN",
+  contains: "TEXT_CONTAINS",
+  not_contains: "TEXT_NOT_CONTAINS",
+  empty: "BLANK",
+  not_empty: "NOT_BLANK",
+};
+
+function sheetConditionType(condition) {
+  const type = SHEET_CONDITIONS[condition] || condition;
+  return Object.values(SHEET_CONDITIONS).includes(type) ? type : null;
+}
+
+// How many of `value` / `value2` a condition type compares against
+function sheetConditionValueCount(type) {
+  if (type === "BLANK" || type === "NOT_BLANK") return 0;
+  return type === "NUMBER_BETWEEN" ? 2 : 1;
+}
+
+function sheetConditionValues(rule) {
+  return [rule.value, rule.value2].filter((value) => value !== undefined && value !== null);
+}
+
+// Parses "A1", "A1:C3", "B:B", "2:5" (optionally prefixed with "Tab!") into GridRange bounds
+function parseA1Range(a1) {
+  const match = String(a1 || "").trim().match(/^(?:(?:'((?:[^']|'')+)'|([^!']+))!)?([A-Z]*)(\d*)(?::([A-Z]*)(\d*))?$/i);
+  if (!match || (!match[3] && !match[4])) return null;
+
+  const [, quotedTitle, plainTitle, startCol, startRow, endColRaw, endRowRaw] = match;
+  const isRange = match[0].includes(":");
+  const endCol = isRange ? endColRaw : startCol;
+  const endRow = isRange ? endRowRaw : startRow;
+
+  const range = {};
+  if (startCol) range.startColumnIndex = columnIndexFromLetter(startCol);
+  if (endCol) range.endColumnIndex = columnIndexFromLetter(endCol) + 1;
+  if (startRow) range.startRowIndex = parseInt(startRow, 10) - 1;
+  if (endRow) range.endRowIndex = parseInt(endRow, 10);
+
+  return {
+    sheetTitle: quotedTitle ? quotedTitle.replace(/''/g, "'") : plainTitle,
+    range,
+  };
+}
+
+// Column index for a header name or column letter in this tab, or -1
+function findSheetColumn(table, column) {
+  const header = (table.values[0] || []).map((text) => text.trim().toLowerCase());
+  const byHeader = header.indexOf(String(column).trim().toLowerCase());
+  if (byHeader !== -1) return byHeader;
+  if (/^[A-Z]{1,3}$/.test(column)) {
+    const index = columnIndexFromLetter(column);
+    return index < table.columnCount ? index : -1;
+  }
+  return -1;
+}
+
+// First problem with the presentation options of a /create-styled-sheet request, or null
+function sheetOptionsError({ theme, protected_ranges = [], conditional_formats = [] }) {
+  if (theme && !SHEET_THEMES[theme]) {
+    return `Unknown theme '${theme}'. Use one of: ${Object.keys(SHEET_THEMES).join(", ")}`;
+  }
+  if (!Array.isArray(protected_ranges) || !Array.isArray(conditional_formats)) {
+    return "protected_ranges and conditional_formats must be arrays";
+  }
+  for (const [i, protection] of protected_ranges.entries()) {
+    if (!parseA1Range(protection?.range)) return `protected_ranges[${i}].range must be an A1 range such as "A1:D1"`;
+  }
+  for (const [i, rule] of conditional_formats.entries()) {
+    if (!rule || (!rule.column && !rule.range)) return `conditional_formats[${i}] needs a 'column' or 'range'`;
+    if (rule.range && !parseA1Range(rule.range)) return `conditional_formats[${i}].range must be an A1 range`;
+    const type = sheetConditionType(rule.condition);
+    if (!type) return `conditional_formats[${i}].condition '${rule.condition}' is not supported`;
+    const needed = sheetConditionValueCount(type);
+    if (sheetConditionValues(rule).length !== needed) {
+      const expected = ["no 'value'", "a 'value'", "both 'value' and 'value2'"][needed];
+      return `conditional_formats[${i}].condition '${rule.condition}' takes ${expected}`;
+    }
+  }
+  return null;
+}
+
+// First range or column in the presentation options that no tab of `tables` has, or null.
+// Run once the tables are known; unmatched references would otherwise be dropped silently.
+function sheetReferenceError(tables, { protected_ranges = [], conditional_formats = [] }) {
+  const titles = uniqueSheetTitles(tables.map((table) => table.title));
+  const unknownTab = (a1) => {
+    const { sheetTitle } = parseA1Range(a1);
+    return sheetTitle && !titles.includes(sheetTitle) ? sheetTitle : null;
+  };
+  const tabList = titles.map((title) => `'${title}'`).join(", ");
+
+  for (const [i, protection] of protected_ranges.entries()) {
+    const tab = unknownTab(protection.range);
+    if (tab) return `protected_ranges[${i}].range refers to tab '${tab}', which does not exist. Tabs: ${tabList}`;
+  }
+  for (const [i, rule] of conditional_formats.entries()) {
+    if (rule.range) {
+      const tab = unknownTab(rule.range);
+      if (tab) return `conditional_formats[${i}].range refers to tab '${tab}', which does not exist. Tabs: ${tabList}`;
+    } else if (!tables.some((table) => findSheetColumn(table, rule.column) !== -1)) {
+      return `conditional_formats[${i}].column '${rule.column}' matches no header or column in any tab`;
+    }
+  }
+  return null;
+}
+
+// Freeze, filter, protections, conditional formats and column sizing for one tab.
+// Ranges prefixed with a tab name apply to that tab only, the rest to every tab.
+function buildSheetPresentationRequests(sheetId, table, options) {
+  const {
+    freeze_header = false,
+    filter = false,
+    auto_resize = false,
+    protected_ranges = [],
+    conditional_formats = [],
+  } = options;
+  const requests = [];
+
+  const gridRangeFor = (a1) => {
+    const parsed = parseA1Range(a1);
+    if (parsed.sheetTitle && parsed.sheetTitle !== table.title) return null;
+    return { sheetId, ...parsed.range };
+  };
+
+  if (freeze_header && table.rowCount) {
+    // A frozen row may not cut through a merged header cell
+    const headerDepth = Math.max(1, ...table.cells.filter((cell) => cell.row === 0).map((cell) => cell.rowSpan));
+    requests.push({
+      updateSheetProperties: {
+        properties: { sheetId, gridProperties: { frozenRowCount: headerDepth } },
+        fields: "gridProperties.frozenRowCount",
+      },
+    });
+  }
+
+  if (filter && table.rowCount && table.columnCount) {
+    requests.push({
+      setBasicFilter: {
+        filter: {
+          range: {
+            sheetId,
+            startRowIndex: 0,
+            endRowIndex: table.rowCount,
+            startColumnIndex: 0,
+            endColumnIndex: table.columnCount,
+          },
+        },
+      },
+    });
+  }
+
+  protected_ranges.forEach((protection) => {
+    const range = gridRangeFor(protection.range);
+    if (!range) return;
+    const protectedRange = {
+      range,
+      description: protection.description || "Protected by generator",
+      warningOnly: Boolean(protection.warning_only),
+    };
+    if (Array.isArray(protection.editors) && !protection.warning_only) {
+      protectedRange.editors = { users: protection.editors };
+    }
+    requests.push({ addProtectedRange: { protectedRange } });
+  });
+
+  conditional_formats.forEach((rule) => {
+    let range;
+    if (rule.range) {
+      range = gridRangeFor(rule.range);
+    } else {
+      const column = findSheetColumn(table, rule.column);
+      if (column !== -1) {
+        range = {
+          sheetId,
+          startRowIndex: 1,
+          endRowIndex: table.rowCount,
+          startColumnIndex: column,
+          endColumnIndex: column + 1,
+        };
+      }
+    }
+    if (!range) return;
+
+    const values = sheetConditionValues(rule).map((value) => ({ userEnteredValue: String(value) }));
+    const format = {};
+    const background = parseCssColor(rule.background);
+    if (background) format.backgroundColor = background;
+    const textFormat = {};
+    const color = parseCssColor(rule.color);
+    if (color) textFormat.foregroundColor = color;
+    if (rule.bold) textFormat.bold = true;
+    if (Object.keys(textFormat).length) format.textFormat = textFormat;
+
+    requests.push({
+      addConditionalFormatRule: {
+        rule: {
+          ranges: [range],
+          booleanRule: {
+            condition: { type: sheetConditionType(rule.condition), ...(values.length ? { values } : {}) },
+            format,
+          },
+        },
+        index: 0,
+      },
+    });
+  });
+
+  // Last, so widths account for the final values and formats
+  if (auto_resize && table.columnCount) {
+    requests.push({
+      autoResizeDimensions: {
+        dimensions: { sheetId, dimension: "COLUMNS", startIndex: 0, endIndex: table.columnCount },
+      },
+    });
+  }
+
+  return requests;
+}
+
+// Creates a spreadsheet with one styled tab per table (as returned by extractTablesFromHtml).
+// `options` are the /create-styled-sheet body fields. Returns the spreadsheet id and tab titles.
+async function createStyledSheet(auth, tables, options) {
+  const { title = "Styled Sheet", typed_values = false, column_types, theme = "classic" } = options;
+  const sheets = google.sheets({ version: "v4", auth });
+
+  // One tab per table; we pick the sheetIds so the styling can target them directly
+  const tabTitles = uniqueSheetTitles(tables.map((table) => table.title));
+  const tabs = tables.map((table, index) => ({ ...table, sheetId: index, title: tabTitles[index] }));
+
+  const sheetRes = await sheets.spreadsheets.create({
+    requestBody: {
+      properties: { title },
+      sheets: tabs.map((tab) => ({
+        properties: {
+          sheetId: tab.sheetId,
+          title: tab.title,
+          gridProperties: {
+            rowCount: Math.max(1000, tab.values.length),
+            columnCount: Math.max(26, tab.columnCount),
+          },
+        },
+      })),
+    },
+  });
+
+  const spreadsheetId = sheetRes.data.spreadsheetId;
+
+  // Typed mode writes values as cells in the batch below; otherwise everything stays text
+  if (!typed_values) {
+    await sheets.spreadsheets.values.batchUpdate({
+      spreadsheetId,
+      requestBody: {
+        valueInputOption: "RAW",
+        data: tabs.map((tab) => ({ range: sheetRangeStart(tab.title), values: tab.values })),
       },
     });
+  }
 
+  await sheets.spreadsheets.batchUpdate({
+    spreadsheetId,
+    requestBody: {
+      requests: tabs.flatMap((tab) => [
+        ...(typed_values ? buildTypedSheetRequests(tab.sheetId, tab, column_types) : []),
+        ...buildSheetStyleRequests(tab.sheetId, tab.rowCount, SHEET_THEMES[theme]),
+        ...buildSheetCellRequests(tab.sheetId, tab),
+        ...buildSheetPresentationRequests(tab.sheetId, tab, options),
+      ]),
+    },
+  });
 
-    
-
-    // Return Google Docs link
-    const docId = response.data.id;
-    const docUrl = `https://docs.google.com/document/d/${docId}/edit`;
-    res.json({ url: docUrl });
-
-  } catch (error) {
-    console.error("Upload error:", error.message);
-    res.status(500).json({ error: error.message });
-  }
-});
+  return { spreadsheetId, tabs: tabs.map((tab) => tab.title) };
+}
 
 app.post("/create-styled-sheet", async (req, res) => {
   try {
-    const { access_token, html_base64, title = "Styled Sheet" } = req.body;
+    const { access_token, html_base64, column_types } = req.body;
 
     if (!access_token || !html_base64) {
       return res.status(400).json({ error: "Missing 'access_token' or 'html_base64'" });
     }
 
+    const badTypes = invalidColumnTypes(column_types);
+    if (badTypes.length) {
+      return res.status(400).json({
+        error: `Unsupported column type '${badTypes[0]}'. Use one of: ${SHEET_VALUE_TYPES.join(", ")}`,
+      });
+    }
+
+    const optionsError = sheetOptionsError(req.body);
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
     // Decode base64 HTML
     const html = Buffer.from(html_base64, "base64").toString("utf8");
 
+    const tables = extractTablesFromHtml(html);
+    if (!tables.length) {
+      return res.status(400).json({ error: "No <table> found in HTML." });
+    }
+
+    const referenceError = sheetReferenceError(tables, req.body);
+    if (referenceError) {
+      return res.status(400).json({ error: referenceError });
+    }
+
     const auth = new google.auth.OAuth2();
     auth.setCredentials({ access_token });
 
-    const sheets = google.sheets({ version: "v4", auth });
+    const { spreadsheetId, tabs } = await createStyledSheet(auth, tables, req.body);
 
-    const dom = parseDocument(html);
-    const table = selectAll("table", dom)[0];
-    const rows = selectAll("tr", table);
+    const sheetUrl = `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit`;
+    res.json({ url: sheetUrl, tabs });
 
-    const values = rows.map((row) =>
-      selectAll("td, th", row).map((cell) =>
-        textContent(cell).trim()
-      )
-    );
+  } catch (err) {
+    console.error("Sheet creation error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    const sheetRes = await sheets.spreadsheets.create({
-      requestBody: {
-        properties: { title },
-      },
-    });
+// ---- Slide themes ----
+// Themes are JSON files in themes/slides (or SLIDE_THEMES_DIR). A theme may "extends" another
+// by name and only override what differs; requests pick one by name or send one inline.
 
-    const spreadsheetId = sheetRes.data.spreadsheetId;
+const SLIDE_THEMES_DIR = process.env.SLIDE_THEMES_DIR || path.join(__dirname, "themes", "slides");
 
-    await sheets.spreadsheets.values.update({
-      spreadsheetId,
-      range: "Sheet1!A1",
-      valueInputOption: "RAW",
-      requestBody: { values },
-    });
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
 
-    // Format header row
-    const headerStyle = {
-      repeatCell: {
-        range: {
-          sheetId: 0,
-          startRowIndex: 0,
-          endRowIndex: 1,
-        },
-        cell: {
-          userEnteredFormat: {
-            backgroundColor: { red: 0.25, green: 0.32, blue: 0.71 },
-            horizontalAlignment: "LEFT",
-            textFormat: {
-              foregroundColor: { red: 1, green: 1, blue: 1 },
-              fontSize: 12,
-              bold: true,
-            },
-          },
-        },
-        fields: "userEnteredFormat(backgroundColor,textFormat,horizontalAlignment)",
-      },
-    };
+// Nested objects are merged key by key; everything else (including null) replaces
+function deepMerge(base, override) {
+  if (!isPlainObject(base) || !isPlainObject(override)) return override === undefined ? base : override;
+  const merged = { ...base };
+  Object.keys(override).forEach((key) => {
+    merged[key] = deepMerge(base[key], override[key]);
+  });
+  return merged;
+}
 
-    // Format alternating body rows
-    const bodyStyles = values.slice(1).map((_, i) => ({
-      repeatCell: {
-        range: {
-          sheetId: 0,
-          startRowIndex: i + 1,
-          endRowIndex: i + 2,
-        },
-        cell: {
-          userEnteredFormat: {
-            backgroundColor: i % 2 === 0
-              ? { red: 1, green: 1, blue: 1 }
-              : { red: 0.98, green: 0.98, blue: 0.98 },
-            textFormat: { fontSize: 11 },
-          },
-        },
-        fields: "userEnteredFormat(backgroundColor,textFormat.fontSize)",
-      },
-    }));
+function loadSlideThemes(dir) {
+  const raw = {};
+  if (fs.existsSync(dir)) {
+    fs.readdirSync(dir)
+      .filter((file) => file.endsWith(".json"))
+      .forEach((file) => {
+        const theme = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+        raw[theme.name || path.basename(file, ".json")] = theme;
+      });
+  }
 
-    await sheets.spreadsheets.batchUpdate({
-      spreadsheetId,
-      requestBody: {
-        requests: [headerStyle, ...bodyStyles],
-      },
-    });
+  const resolved = {};
+  const resolve = (name, seen = []) => {
+    if (resolved[name]) return resolved[name];
+    const theme = raw[name];
+    if (!theme) throw new Error(`Slide theme '${seen[seen.length - 1]}' extends unknown theme '${name}'`);
+    if (seen.includes(name)) throw new Error(`Slide theme '${name}' extends itself`);
+    const { extends: parent, ...own } = theme;
+    resolved[name] = parent ? deepMerge(resolve(parent, [...seen, name]), own) : own;
+    return resolved[name];
+  };
+  Object.keys(raw).forEach((name) => resolve(name));
 
-    const sheetUrl = `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit`;
-    res.json({ url: sheetUrl });
+  return resolved;
+}
 
-  } catch (err) {
-    console.error("Sheet creation error:", err.message);
-    res.status(500).json({ error: err.message });
+const SLIDE_THEMES = loadSlideThemes(SLIDE_THEMES_DIR);
+
+// A theme name, or an inline theme object (optionally "extends"-ing a named one).
+// Returns null for an unknown name.
+function resolveSlideTheme(theme, defaultName) {
+  if (isPlainObject(theme)) {
+    const base = SLIDE_THEMES[theme.extends || defaultName];
+    if (!base) return null;
+    const { extends: _parent, ...own } = theme;
+    return deepMerge(base, own);
   }
-});
+  return SLIDE_THEMES[theme || defaultName] || null;
+}
 
-// app.post("/create-slides", async (req, res) => {
-//   try {
-//     const { access_token, html_base64, presentationTitle = "New Slides" } = req.body;
-
-//     if (!access_token || !html_base64) {
-//       return res.status(400).json({ error: "Missing 'access_token' or 'html_base64'" });
-//     }
-
-//     const htmlContent = Buffer.from(html_base64, "base64").toString("utf8");
-//     const slidesData = extractSlidesFromHtml(htmlContent);
-
-//     if (!slidesData.length) {
-//       return res.status(400).json({ error: "No valid slides found in HTML." });
-//     }
-
-//     const auth = new google.auth.OAuth2();
-//     auth.setCredentials({ access_token });
-
-//     const slidesApi = google.slides({ version: "v1", auth });
-
-//     // 1. Create presentation
-//     const { data: { presentationId } } = await slidesApi.presentations.create({
-//       requestBody: { title: presentationTitle },
-//     });
-
-//     // 2. Delete default slide
-//     const existingSlides = await slidesApi.presentations.get({ presentationId });
-//     const defaultSlideId = existingSlides.data.slides[0].objectId;
-
-//     await slidesApi.presentations.batchUpdate({
-//       presentationId,
-//       requestBody: {
-//         requests: [{ deleteObject: { objectId: defaultSlideId } }],
-//       },
-//     });
-
-//     // 3. Create new slides
-//     const slideRequests = slidesData.map((_, index) => ({
-//       createSlide: {
-//         objectId: `slide_${index + 1}`,
-//         slideLayoutReference: { predefinedLayout: "TITLE_AND_BODY" },
-//       },
-//     }));
-
-//     await slidesApi.presentations.batchUpdate({
-//       presentationId,
-//       requestBody: { requests: slideRequests },
-//     });
-
-//     // 4. Insert text
-//     const newSlides = await slidesApi.presentations.get({ presentationId });
-//     const textInsertRequests = [];
-
-//     newSlides.data.slides.forEach((slide, i) => {
-//       const { title, description } = slidesData[i] || {};
-
-//       const titleElement = slide.pageElements.find(
-//         el => el.shape?.placeholder?.type === "TITLE"
-//       );
-//       const bodyElement = slide.pageElements.find(
-//         el => el.shape?.placeholder?.type === "BODY"
-//       );
-
-//       if (title && titleElement) {
-//         textInsertRequests.push({
-//           insertText: {
-//             objectId: titleElement.objectId,
-//             text: title,
-//             insertionIndex: 0,
-//           },
-//         });
-//       }
-
-//       if (description && bodyElement) {
-//         textInsertRequests.push({
-//           insertText: {
-//             objectId: bodyElement.objectId,
-//             text: description,
-//             insertionIndex: 0,
-//           },
-//         });
-//       }
-//     });
-
-//     if (textInsertRequests.length) {
-//       await slidesApi.presentations.batchUpdate({
-//         presentationId,
-//         requestBody: { requests: textInsertRequests },
-//       });
-//     }
-
-//     const url = `https://docs.google.com/presentation/d/${presentationId}/edit`;
-//     res.json({ url });
-
-//   } catch (err) {
-//     console.error("Slides API Error:", err.message);
-//     res.status(500).json({ error: err.message });
-//   }
-// });
-
-app.post("/create-slides", async (req, res) => {
-  try {
-    const { access_token, html_base64, file_name } = req.body;
+// ---- JSON slide decks ----
+// /create-slides-deck takes slides as JSON (schemas/slide-deck.schema.json) instead of HTML.
+// Deck slides are normalized into the { title, paragraphs, images, notes } shape the HTML
+// extractors produce, plus their `type` and whatever else that layout needs.
 
-    if (!access_token || !html_base64) {
-      return res.status(400).json({ error: "Missing 'access_token' or 'html_base64'" });
+const SLIDE_DECK_SCHEMA = loadSchema("slide-deck");
+
+// Text items may hold inline HTML; consecutive bullet items of the same kind form one list
+function deckParagraphs(document, items) {
+  let list = null;
+  let listCount = 0;
+
+  return items
+    .map((item) => {
+      const { text, bullet, level = 0 } = typeof item === "string" ? { text: item } : item;
+      const holder = document.createElement("div");
+      holder.innerHTML = text;
+      const runs = normalizeRuns(collectInlineRuns(holder, {}, [])).filter((run) => run.text);
+
+      const ordered = bullet === "number";
+      if (!bullet) list = null;
+      else if (!list || list.ordered !== ordered) list = { id: `deck_list_${++listCount}`, ordered };
+
+      return { runs, heading: false, list: list && { ...list, nesting: level } };
+    })
+    .filter((paragraph) => paragraph.runs.length);
+}
+
+function normalizeSlideDeck(deck) {
+  const { document } = new JSDOM("").window;
+
+  return deck.slides.map((slide) => {
+    const base = { type: slide.type, title: slide.title || "", paragraphs: [], images: [], notes: slide.notes || "" };
+    switch (slide.type) {
+      case "title_body":
+        return { ...base, paragraphs: deckParagraphs(document, slide.body), images: slide.images || [] };
+      case "two_column":
+        return { ...base, columns: [deckParagraphs(document, slide.left), deckParagraphs(document, slide.right)] };
+      case "image_caption":
+        return { ...base, images: [slide.image], caption: slide.caption || "" };
+      case "quote":
+        return { ...base, quote: slide.quote, attribution: slide.attribution || "" };
+      case "table":
+        return { ...base, rows: slide.rows, header: slide.header !== false };
+      default: // title, section
+        return { ...base, subtitle: slide.subtitle || "" };
     }
+  });
+}
 
-    const htmlContent = Buffer.from(html_base64, "base64").toString("utf8");
-    const slidesData = extractSlidesFromHtml(htmlContent);
-    if (!slidesData.length) {
-      return res.status(400).json({ error: "No valid slides found in HTML." });
+// ---- Slide builder ----
+
+function slideElementProperties(slideId, box) {
+  return {
+    pageObjectId: slideId,
+    size: { height: { magnitude: box.height, unit: "PT" }, width: { magnitude: box.width, unit: "PT" } },
+    transform: {
+      scaleX: 1,
+      scaleY: 1,
+      translateX: box.x,
+      translateY: box.y,
+      unit: "PT"
     }
+  };
+}
 
-    const auth = new google.auth.OAuth2();
-    auth.setCredentials({ access_token });
+// Slides TextStyle for a theme box's font settings
+function slideBoxTextStyle(box) {
+  const style = {};
+  if (box.fontSize) style.fontSize = { magnitude: box.fontSize, unit: "PT" };
+  if (typeof box.bold === "boolean") style.bold = box.bold;
+  if (typeof box.italic === "boolean") style.italic = box.italic;
+  if (box.fontFamily) style.fontFamily = box.fontFamily;
+  const color = parseCssColor(box.color);
+  if (color) style.foregroundColor = { opaqueColor: { rgbColor: color } };
+  return style;
+}
+
+// Paragraph direction for a text box: box.direction is "auto" (detected from the text),
+// an explicit LEFT_TO_RIGHT / RIGHT_TO_LEFT, or unset to leave the Slides default
+function slideTextDirection(box, text) {
+  if (box.direction === "auto") return dominantTextDirection(text);
+  return box.direction || null;
+}
 
-    const slidesApi = google.slides({ version: "v1", auth });
+// Slides ParagraphStyle for a box: its direction, and alignment (START/END follow the direction)
+function slideBoxParagraphStyle(box, text) {
+  const style = {};
+  const direction = slideTextDirection(box, text);
+  if (direction) style.direction = direction;
+  if (box.align) style.alignment = box.align;
+  else if (direction === "RIGHT_TO_LEFT") style.alignment = "START";
+  return style;
+}
+
+// Text box with the theme's font settings, alignment and text direction for that element
+function pushSlideTextBox(requests, objectId, slideId, box, text) {
+  requests.push({
+    createShape: {
+      objectId,
+      shapeType: "TEXT_BOX",
+      elementProperties: slideElementProperties(slideId, box)
+    }
+  });
+  if (!text) return;
 
-    // Step 1: Create presentation
-    const presentationTitle = file_name && file_name.trim() ? file_name : "My Presentation";
-    const { data: { presentationId } } = await slidesApi.presentations.create({
-      requestBody: { title: presentationTitle },
+  requests.push({
+    insertText: {
+      objectId,
+      text,
+      insertionIndex: 0
+    }
+  });
+
+  const style = slideBoxTextStyle(box);
+  if (Object.keys(style).length) {
+    requests.push({
+      updateTextStyle: {
+        objectId,
+        style,
+        fields: Object.keys(style).join(",")
+      }
     });
+  }
 
-    // Step 2: Delete default slide
-    const defaultSlide = await slidesApi.presentations.get({ presentationId });
-    const defaultSlideId = defaultSlide.data.slides[0].objectId;
-    await slidesApi.presentations.batchUpdate({
-      presentationId,
-      requestBody: { requests: [{ deleteObject: { objectId: defaultSlideId } }] }
+  const paragraphStyle = slideBoxParagraphStyle(box, text);
+  if (Object.keys(paragraphStyle).length) {
+    requests.push({
+      updateParagraphStyle: {
+        objectId,
+        textRange: { type: "ALL" },
+        style: paragraphStyle,
+        fields: Object.keys(paragraphStyle).join(",")
+      }
     });
+  }
+}
 
-    const BACKGROUND_IMAGE_URL = 'https://9b05dd864822d678c9fcbed18bf8311c.cdn.bubble.io/f1753546339862x395890190803218200/background.PNG?_gl=1*1bmqctz*_gcl_au*MTgxNzI2MDE2OC4xNzQ2NDU3OTc5*_ga*MjAzNTQ2NTk5LjE2NzcyMzIwNjY.*_ga_BFPVR2DEE2*czE3NTM1MzQ0NTckbzIxOSRnMSR0MTc1MzU0NjAzNiRqNjAkbDAkaDA.';
-    const LOGO_IMAGE_URL = 'https://9b05dd864822d678c9fcbed18bf8311c.cdn.bubble.io/f1753458006954x918763125344364000/46c94753-1589-47cd-8efa-cd023be6bd4a.png?_gl=1*zow64b*_gcl_au*MTgxNzI2MDE2OC4xNzQ2NDU3OTc5*_ga*MjAzNTQ2NTk5LjE2NzcyMzIwNjY.*_ga_BFPVR2DEE2*czE3NTM1MzQ0NTckbzIxOSRnMSR0MTc1MzU0NjAzNiRqNjAkbDAkaDA.';
+// Slides TextStyle for a run parsed by collectInlineRuns, which uses the Docs field shapes
+function slidesTextStyle(style) {
+  const slidesStyle = {};
+  ["bold", "italic", "underline", "strikethrough", "link", "fontSize", "baselineOffset"].forEach((key) => {
+    if (style[key] !== undefined) slidesStyle[key] = style[key];
+  });
+  if (style.foregroundColor) slidesStyle.foregroundColor = { opaqueColor: style.foregroundColor.color };
+  if (style.backgroundColor) slidesStyle.backgroundColor = { opaqueColor: style.backgroundColor.color };
+  if (style.weightedFontFamily) slidesStyle.fontFamily = style.weightedFontFamily.fontFamily;
+  return slidesStyle;
+}
 
-    const slideRequests = [];
+// Paragraphs as one text with "\n" separators, leading tabs for list nesting (which
+// createParagraphBullets consumes), styled ranges and the ranges of each list
+function layoutSlideParagraphs(paragraphs) {
+  let text = "";
+  const ranges = [];
+  const lists = [];
+  let list = null;
+
+  paragraphs.forEach((paragraph, index) => {
+    if (index) text += "\n";
+    const start = text.length;
+    if (paragraph.list) text += "\t".repeat(paragraph.list.nesting);
+
+    paragraph.runs.forEach((run) => {
+      const style = slidesTextStyle(run.style || {});
+      if (Object.keys(style).length) ranges.push({ start: text.length, end: text.length + run.text.length, style });
+      text += run.text;
+    });
+    if (paragraph.heading) ranges.push({ start, end: text.length, style: { bold: true } });
 
-    slidesData.forEach((slide, index) => {
-      const slideId = `slide_${index + 1}`;
+    if (paragraph.list && list && list.id === paragraph.list.id) {
+      list.end = text.length;
+    } else if (paragraph.list) {
+      list = { id: paragraph.list.id, ordered: paragraph.list.ordered, start, end: text.length };
+      lists.push(list);
+    } else {
+      list = null;
+    }
+  });
 
-      // Create slide
-      slideRequests.push({
-        createSlide: {
-          objectId: slideId,
-          slideLayoutReference: { predefinedLayout: "BLANK" }
-        }
-      });
+  return { text, ranges, lists };
+}
 
-      // Set background image
-      slideRequests.push({
-        createImage: {
-          objectId: `bg_${slideId}`,
-          url: BACKGROUND_IMAGE_URL,
-          elementProperties: {
-            pageObjectId: slideId,
-            size: { height: { magnitude: 405, unit: "PT" }, width: { magnitude: 720, unit: "PT" } },
-            transform: {
-              scaleX: 1,
-              scaleY: 1,
-              translateX: 0,
-              translateY: 0,
-              unit: "PT"
-            }
-          }
-        }
-      });
+// Text box holding rich paragraphs: theme font for the whole box, then run styles, then bullets
+function pushSlideParagraphsBox(requests, objectId, slideId, box, paragraphs) {
+  const { text, ranges, lists } = layoutSlideParagraphs(paragraphs);
+  pushSlideTextBox(requests, objectId, slideId, box, text);
+  if (!text) return;
+
+  ranges.forEach(({ start, end, style }) => {
+    if (start === end) return;
+    requests.push({
+      updateTextStyle: {
+        objectId,
+        textRange: { type: "FIXED_RANGE", startIndex: start, endIndex: end },
+        style,
+        fields: Object.keys(style).join(",")
+      }
+    });
+  });
 
-      // Add logo (bottom left)
-      slideRequests.push({
-        createImage: {
-          objectId: `logo_${slideId}`,
-          url: LOGO_IMAGE_URL,
-          elementProperties: {
-            pageObjectId: slideId,
-            size: { height: { magnitude: 40, unit: "PT" }, width: { magnitude: 40, unit: "PT" } },
-            transform: {
-              scaleX: 1,
-              scaleY: 1,
-              translateX: 10,
-              translateY: 340,
-              unit: "PT"
-            }
+  // Bullets remove the nesting tabs, so the last list goes first to keep earlier ranges valid
+  [...lists].reverse().forEach((list) => {
+    requests.push({
+      createParagraphBullets: {
+        objectId,
+        textRange: { type: "FIXED_RANGE", startIndex: list.start, endIndex: list.end },
+        bulletPreset: list.ordered ? "NUMBERED_DIGIT_ALPHA_ROMAN" : "BULLET_DISC_CIRCLE_SQUARE"
+      }
+    });
+  });
+}
+
+// Slide bodies are rich paragraphs; a plain `description` string is accepted as well
+function slideBodyParagraphs(slide) {
+  if (Array.isArray(slide.paragraphs)) return slide.paragraphs;
+  return String(slide.description || "")
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => ({ runs: [{ text: line, style: {} }], heading: false, list: null }));
+}
+
+// Description box for a slide: narrower when an image shares the slide, smaller font when fitted
+function slideDescriptionBox(slide, theme) {
+  let box = theme.description;
+  if (slide.images?.length && theme.imageLayout?.description) box = deepMerge(box, theme.imageLayout.description);
+  return slide.fontSize ? { ...box, fontSize: slide.fontSize } : box;
+}
+
+// Image frames for a slide: the theme's image area, divided vertically between the images
+function slideImageBoxes(slide, theme) {
+  const images = slide.images || [];
+  const area = theme.imageLayout?.image;
+  if (!images.length || !area) return [];
+  const height = area.height / images.length;
+  return images.map((image, i) => ({ image, box: { ...area, y: area.y + i * height, height } }));
+}
+
+// Image frame with the image's alt text carried over; `image.url` is already fetchable
+function pushSlideImage(requests, objectId, slideId, box, image) {
+  requests.push({
+    createImage: {
+      objectId,
+      url: image.url,
+      elementProperties: slideElementProperties(slideId, box)
+    }
+  });
+  if (image.alt) {
+    requests.push({ updatePageElementAltText: { objectId, description: image.alt } });
+  }
+}
+
+// Table with the box's font in every cell; the header row, if any, is bold
+function pushSlideTable(requests, objectId, slideId, box, rows, header) {
+  const columns = Math.max(...rows.map((row) => row.length));
+  requests.push({
+    createTable: {
+      objectId,
+      elementProperties: slideElementProperties(slideId, box),
+      rows: rows.length,
+      columns
+    }
+  });
+
+  const style = slideBoxTextStyle(box);
+  rows.forEach((row, rowIndex) => {
+    row.forEach((text, columnIndex) => {
+      if (!text) return;
+      const cellLocation = { rowIndex, columnIndex };
+      requests.push({ insertText: { objectId, cellLocation, text, insertionIndex: 0 } });
+
+      const cellStyle = header && rowIndex === 0 ? { ...style, bold: true } : style;
+      if (Object.keys(cellStyle).length) {
+        requests.push({
+          updateTextStyle: {
+            objectId,
+            cellLocation,
+            textRange: { type: "ALL" },
+            style: cellStyle,
+            fields: Object.keys(cellStyle).join(",")
           }
-        }
-      });
+        });
+      }
 
-      // Add footer (bottom right)
-      slideRequests.push({
-        createShape: {
-          objectId: `footer_${slideId}`,
-          shapeType: "TEXT_BOX",
-          elementProperties: {
-            pageObjectId: slideId,
-            size: { height: { magnitude: 20, unit: "PT" }, width: { magnitude: 200, unit: "PT" } },
-            transform: {
-              scaleX: 1,
-              scaleY: 1,
-              translateX: 540,
-              translateY: 370,
-              unit: "PT"
-            }
+      const paragraphStyle = slideBoxParagraphStyle(box, text);
+      if (Object.keys(paragraphStyle).length) {
+        requests.push({
+          updateParagraphStyle: {
+            objectId,
+            cellLocation,
+            textRange: { type: "ALL" },
+            style: paragraphStyle,
+            fields: Object.keys(paragraphStyle).join(",")
           }
+        });
+      }
+    });
+  });
+}
+
+// Box for one element of a typed layout (theme.layouts.<type>.<name>), inheriting fonts from `base`
+function slideLayoutBox(theme, type, name, base) {
+  return deepMerge(base, theme.layouts?.[type]?.[name] || {});
+}
+
+// ---- Slide overflow ----
+// Rough text metrics for a proportional font; good enough to tell "fits" from "spills off the slide"
+
+const SLIDE_CHAR_WIDTH_EM = 0.5;
+const SLIDE_LINE_HEIGHT_EM = 1.2;
+const SLIDE_TEXT_INSET_PT = 7.2; // default text box padding on each side
+const SLIDE_BULLET_INDENT_PT = 18;
+
+const SLIDE_OVERFLOW_MODES = ["auto", "shrink", "split", "none"];
+
+function estimateSlideTextHeight(paragraphs, width, fontSize) {
+  const lines = paragraphs.reduce((total, paragraph) => {
+    const indent = paragraph.list ? (paragraph.list.nesting + 1) * SLIDE_BULLET_INDENT_PT : 0;
+    const usableWidth = width - 2 * SLIDE_TEXT_INSET_PT - indent;
+    const charsPerLine = Math.max(1, Math.floor(usableWidth / (fontSize * SLIDE_CHAR_WIDTH_EM)));
+    const text = paragraph.runs.map((run) => run.text).join("");
+    return total + text.split("\u000b").reduce((n, line) => n + Math.max(1, Math.ceil(line.length / charsPerLine)), 0);
+  }, 0);
+  return lines * fontSize * SLIDE_LINE_HEIGHT_EM + 2 * SLIDE_TEXT_INSET_PT;
+}
+
+// Two columns cannot be split, so "auto" and "shrink" bring both down to one font size that fits
+function fitSlideColumns(slide, theme, overflow) {
+  if (overflow === "none" || overflow === "split") return slide;
+
+  const boxes = ["left", "right"].map((name) => slideLayoutBox(theme, "two_column", name, theme.description));
+  const baseSize = Math.min(...boxes.map((box) => box.fontSize || 14));
+  const minSize = Math.min(...boxes.map((box) => box.minFontSize || baseSize), baseSize);
+  const fits = (size) =>
+    slide.columns.every((paragraphs, i) => estimateSlideTextHeight(paragraphs, boxes[i].width, size) <= boxes[i].height);
+
+  if (fits(baseSize)) return slide;
+  for (let size = baseSize - 1; size > minSize; size--) {
+    if (fits(size)) return { ...slide, fontSize: size };
+  }
+  return { ...slide, fontSize: minSize };
+}
+
+// Makes every description fit its box. "auto" shrinks the font down to the theme's
+// minFontSize and, if that is not enough, splits at paragraph/bullet boundaries into
+// "(cont.)" slides; "shrink" and "split" only do one of the two; "none" leaves slides alone.
+// Of the other layouts only two_column has body text to fit, and it is never split.
+// Returns the slides to build plus a report of the ones that were split.
+function fitSlidesToTheme(slidesData, theme, overflow = "auto") {
+  const slides = [];
+  const splits = [];
+
+  slidesData.forEach((slide, index) => {
+    if (slide.type === "two_column") {
+      slides.push(fitSlideColumns(slide, theme, overflow));
+      return;
+    }
+    if (slide.type && slide.type !== "title_body") {
+      slides.push(slide);
+      return;
+    }
+
+    // Continuations drop the images, so parts after the first get the full-width text box
+    const box = slideDescriptionBox({ ...slide, fontSize: undefined }, theme);
+    const continuationBox = slideDescriptionBox({ ...slide, images: [], fontSize: undefined }, theme);
+    const baseSize = box.fontSize || 14;
+    const minSize = Math.min(box.minFontSize || baseSize, baseSize);
+    const fits = (paragraphs, size, part = 0) => {
+      const { width, height } = part ? continuationBox : box;
+      return estimateSlideTextHeight(paragraphs, width, size) <= height;
+    };
+    const largestFit = (paragraphs, part = 0) => {
+      for (let size = baseSize; size >= minSize; size--) {
+        if (fits(paragraphs, size, part)) return size;
+      }
+      return null;
+    };
+
+    const paragraphs = slideBodyParagraphs(slide);
+    if (overflow === "none" || fits(paragraphs, baseSize)) {
+      slides.push(slide);
+      return;
+    }
+
+    const shrunk = overflow === "split" ? null : largestFit(paragraphs);
+    if (shrunk || overflow === "shrink") {
+      slides.push({ ...slide, fontSize: shrunk || minSize });
+      return;
+    }
+
+    const chunksAt = (size) => {
+      const chunks = [];
+      let current = [];
+      paragraphs.forEach((paragraph) => {
+        if (current.length && !fits([...current, paragraph], size, chunks.length)) {
+          chunks.push(current);
+          current = [];
         }
+        current.push(paragraph);
       });
-      slideRequests.push({
-        insertText: {
-          objectId: `footer_${slideId}`,
-          text: "HelpMeTeach.AI",
-          insertionIndex: 0
-        }
-      });
+      if (current.length) chunks.push(current);
+      return chunks;
+    };
 
-      // Add title (centered top)
-      slideRequests.push({
-        createShape: {
-          objectId: `title_${slideId}`,
-          shapeType: "TEXT_BOX",
-          elementProperties: {
-            pageObjectId: slideId,
-            size: { height: { magnitude: 50, unit: "PT" }, width: { magnitude: 600, unit: "PT" } },
-            transform: {
-              scaleX: 1,
-              scaleY: 1,
-              translateX: 60,
-              translateY: 50,
-              unit: "PT"
-            }
-          }
+    // "split" keeps the theme's size; "auto" shrinks first, so it needs as few parts as the
+    // smallest allowed size does, at the largest size that still gets by with that many
+    let chunks = chunksAt(baseSize);
+    if (overflow === "auto") {
+      const fewest = chunksAt(minSize).length;
+      for (let size = baseSize; size >= minSize; size--) {
+        const candidate = chunksAt(size);
+        if (candidate.length === fewest) {
+          chunks = candidate;
+          break;
         }
+      }
+    }
+
+    // A single paragraph that is too long on its own still gets shrunk as far as allowed.
+    // Images and speaker notes stay with the first part.
+    chunks.forEach((chunk, part) => {
+      slides.push({
+        ...slide,
+        title: part ? `${slide.title} (cont.)` : slide.title,
+        paragraphs: chunk,
+        images: part ? [] : slide.images,
+        notes: part ? "" : slide.notes,
+        fontSize: fits(chunk, baseSize, part) ? undefined : largestFit(chunk, part) || minSize,
       });
-      slideRequests.push({
-        insertText: {
-          objectId: `title_${slideId}`,
-          text: slide.title,
-          insertionIndex: 0
-        }
+    });
+    if (chunks.length > 1) splits.push({ slide: index + 1, title: slide.title, parts: chunks.length });
+  });
+
+  return { slides, splits };
+}
+
+// Everything on a slide but the theme's background, logo and footer. Slides without a
+// `type` (the HTML routes) are title_body. Every box goes through `place` (see slideDeckPlacement).
+function pushSlideLayoutContent(requests, slide, slideId, theme, place) {
+  const type = slide.type || "title_body";
+  const box = (name, base) => place(slideLayoutBox(theme, type, name, base));
+  const pushTitle = () => {
+    if (slide.title) pushSlideTextBox(requests, `title_${slideId}`, slideId, place(theme.title), slide.title);
+  };
+
+  switch (type) {
+    case "title":
+    case "section":
+      pushSlideTextBox(requests, `title_${slideId}`, slideId, box("title", theme.title), slide.title);
+      if (slide.subtitle) {
+        pushSlideTextBox(requests, `subtitle_${slideId}`, slideId, box("subtitle", theme.description), slide.subtitle);
+      }
+      return;
+
+    case "two_column":
+      pushTitle();
+      slide.columns.forEach((paragraphs, i) => {
+        const name = i ? "right" : "left";
+        const columnBox = box(name, theme.description);
+        const fitted = slide.fontSize ? { ...columnBox, fontSize: slide.fontSize } : columnBox;
+        pushSlideParagraphsBox(requests, `${name}_${slideId}`, slideId, fitted, paragraphs);
       });
-      slideRequests.push({
-        updateTextStyle: {
-          objectId: `title_${slideId}`,
-          style: {
-            fontSize: { magnitude: 18, unit: "PT" },
-            bold: true
-          },
-          fields: "fontSize,bold"
-        }
+      return;
+
+    case "image_caption":
+      pushTitle();
+      if (slide.images[0]) {
+        pushSlideImage(requests, `img_${slideId}_1`, slideId, box("image", theme.imageLayout?.image || theme.description), slide.images[0]);
+      }
+      if (slide.caption) {
+        pushSlideTextBox(requests, `caption_${slideId}`, slideId, box("caption", theme.description), slide.caption);
+      }
+      return;
+
+    case "quote":
+      pushTitle();
+      pushSlideTextBox(requests, `quote_${slideId}`, slideId, box("quote", theme.description), `\u201c${slide.quote}\u201d`);
+      if (slide.attribution) {
+        pushSlideTextBox(requests, `attribution_${slideId}`, slideId, box("attribution", theme.description), `\u2014 ${slide.attribution}`);
+      }
+      return;
+
+    case "table":
+      pushTitle();
+      pushSlideTable(requests, `table_${slideId}`, slideId, box("table", theme.description), slide.rows, slide.header);
+      return;
+
+    default:
+      // Add title and description, then images (already resolved to fetchable URLs)
+      pushSlideTextBox(requests, `title_${slideId}`, slideId, place(theme.title), slide.title);
+      pushSlideParagraphsBox(requests, `desc_${slideId}`, slideId, place(slideDescriptionBox(slide, theme)), slideBodyParagraphs(slide));
+      slideImageBoxes(slide, theme).forEach(({ image, box: imageBox }, i) => {
+        pushSlideImage(requests, `img_${slideId}_${i + 1}`, slideId, place(imageBox), image);
       });
+  }
+}
+
+// Plain text of everything a slide shows, for working out the deck's direction
+function slideVisibleText(slide) {
+  const paragraphs = [...slideBodyParagraphs(slide), ...(slide.columns || []).flat()];
+  return [
+    slide.title,
+    slide.subtitle,
+    slide.caption,
+    slide.quote,
+    slide.attribution,
+    slideParagraphsText(paragraphs),
+    ...(slide.rows || []).flat(),
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+const SLIDE_DIRECTIONS = { auto: "auto", ltr: "LEFT_TO_RIGHT", rtl: "RIGHT_TO_LEFT" };
+
+// How boxes are placed for a deck. `direction` ("auto", "ltr" or "rtl") is set on every text
+// box, "auto" detecting it per box. A right-to-left deck (explicitly, or by the majority of its
+// text) is mirrored horizontally when `mirror` is true, which defaults to the theme's mirrorRtl:
+// logo, footer, text and images swap sides around the page centre.
+function slideDeckPlacement(slidesData, theme, { direction = "auto", mirror } = {}) {
+  const boxDirection = SLIDE_DIRECTIONS[direction] || "auto";
+  const deckDirection = boxDirection === "auto"
+    ? dominantTextDirection(slidesData.map(slideVisibleText).join("\n"))
+    : boxDirection;
+  const mirrored = deckDirection === "RIGHT_TO_LEFT" && (mirror ?? Boolean(theme.mirrorRtl));
+  const pageWidth = theme.page?.width || 720;
+
+  return (box) => ({
+    ...box,
+    ...(mirrored && { x: Math.max(0, pageWidth - box.x - box.width) }),
+    direction: boxDirection,
+  });
+}
 
-      // Add description (centered middle)
+// Every object a run creates is named after its slide, and slide ids carry a per-run prefix
+// ("gen_<run>_slide_3"). Ids never collide with an existing deck's, and a later run can
+// find and replace the slides generated before it.
+const GENERATED_SLIDE_ID = /^gen_[a-z0-9]+_slide_\d+$/;
+
+function newSlideRunPrefix() {
+  return `gen_${Date.now().toString(36)}${crypto.randomBytes(3).toString("hex")}_`;
+}
+
+function generatedSlideId(prefix, index) {
+  return `${prefix}slide_${index + 1}`;
+}
+
+// One BLANK slide per slide with the theme's background, logo and footer, then its layout's content.
+// With an insertionIndex the slides go in at that position, in order; otherwise at the end.
+// `direction` and `mirror` are described at slideDeckPlacement.
+function buildSlideRequests(slidesData, theme, { idPrefix, insertionIndex, direction, mirror } = {}) {
+  const slideRequests = [];
+  const place = slideDeckPlacement(slidesData, theme, { direction, mirror });
+
+  slidesData.forEach((slide, index) => {
+    const slideId = generatedSlideId(idPrefix, index);
+
+    // Create slide
+    slideRequests.push({
+      createSlide: {
+        objectId: slideId,
+        ...(insertionIndex !== undefined && { insertionIndex: insertionIndex + index }),
+        slideLayoutReference: { predefinedLayout: "BLANK" }
+      }
+    });
+
+    // Set background color and/or image
+    const backgroundColor = parseCssColor(theme.background?.color);
+    if (backgroundColor) {
       slideRequests.push({
-        createShape: {
-          objectId: `desc_${slideId}`,
-          shapeType: "TEXT_BOX",
-          elementProperties: {
-            pageObjectId: slideId,
-            size: { height: { magnitude: 80, unit: "PT" }, width: { magnitude: 600, unit: "PT" } },
-            transform: {
-              scaleX: 1,
-              scaleY: 1,
-              translateX: 60,
-              translateY: 70,
-              unit: "PT"
-            }
-          }
+        updatePageProperties: {
+          objectId: slideId,
+          pageProperties: { pageBackgroundFill: { solidFill: { color: { rgbColor: backgroundColor } } } },
+          fields: "pageBackgroundFill.solidFill.color"
         }
       });
+    }
+    if (theme.background?.imageUrl) {
       slideRequests.push({
-        insertText: {
-          objectId: `desc_${slideId}`,
-          text: slide.description,
-          insertionIndex: 0
+        createImage: {
+          objectId: `bg_${slideId}`,
+          url: theme.background.imageUrl,
+          elementProperties: slideElementProperties(slideId, { x: 0, y: 0, ...theme.page })
         }
       });
+    }
+
+    // Add logo
+    if (theme.logo?.imageUrl) {
       slideRequests.push({
-        updateTextStyle: {
-          objectId: `desc_${slideId}`,
-          style: {
-            fontSize: { magnitude: 14, unit: "PT" },
-            bold: false
-          },
-          fields: "fontSize,bold"
+        createImage: {
+          objectId: `logo_${slideId}`,
+          url: theme.logo.imageUrl,
+          elementProperties: slideElementProperties(slideId, place(theme.logo))
         }
       });
-    });
+    }
+
+    // Add footer
+    if (theme.footer?.text) {
+      pushSlideTextBox(slideRequests, `footer_${slideId}`, slideId, place(theme.footer), theme.footer.text);
+    }
+
+    pushSlideLayoutContent(slideRequests, slide, slideId, theme, place);
+  });
+
+  return slideRequests;
+}
+
+// insertText into the speaker notes shape of every slide that has notes
+function buildSpeakerNotesRequests(slidesData, createdSlides, idPrefix) {
+  const byId = new Map(createdSlides.map((slide) => [slide.objectId, slide]));
+  return slidesData.flatMap((slide, index) => {
+    const notesId = byId.get(generatedSlideId(idPrefix, index))?.slideProperties?.notesPage?.notesProperties?.speakerNotesObjectId;
+    if (!slide.notes || !notesId) return [];
+    return [{ insertText: { objectId: notesId, text: slide.notes, insertionIndex: 0 } }];
+  });
+}
+
+// Swaps every slide image src for a fetchable URL, dropping images that cannot be hosted
+async function hostSlideImages(slidesData, options) {
+  const cache = new Map();
+  return Promise.all(
+    slidesData.map(async (slide) => {
+      const images = await Promise.all(
+        (slide.images || []).map(async (image) => ({ ...image, url: await resolveImageUrl(image.src, options, cache) }))
+      );
+      return { ...slide, images: images.filter((image) => image.url) };
+    })
+  );
+}
 
-    // Execute all requests
-    await slidesApi.presentations.batchUpdate({
+// Builds the slides and their speaker notes in a presentation. `setupRequests` run in the
+// same batch first (e.g. deleting the slides being replaced).
+async function writeSlidesToPresentation(slidesApi, presentationId, slidesData, { theme, direction, mirror, insertionIndex, setupRequests = [] }) {
+  const idPrefix = newSlideRunPrefix();
+
+  await slidesApi.presentations.batchUpdate({
+    presentationId,
+    requestBody: { requests: [...setupRequests, ...buildSlideRequests(slidesData, theme, { idPrefix, insertionIndex, direction, mirror })] }
+  });
+
+  // Speaker notes go into each slide's notes shape, which only has an id once the slide exists
+  if (slidesData.some((slide) => slide.notes)) {
+    const { data } = await slidesApi.presentations.get({
       presentationId,
-      requestBody: { requests: slideRequests }
+      fields: "slides(objectId,slideProperties(notesPage(notesProperties)))",
     });
+    const notesRequests = buildSpeakerNotesRequests(slidesData, data.slides, idPrefix);
+    if (notesRequests.length) {
+      await slidesApi.presentations.batchUpdate({
+        presentationId,
+        requestBody: { requests: notesRequests }
+      });
+    }
+  }
+}
 
-    const url = `https://docs.google.com/presentation/d/${presentationId}/edit`;
-    res.json({ url });
+// Creates a presentation holding only the generated slides and returns its id
+async function createPresentationFromSlides(auth, slidesData, { title, theme, direction, mirror }) {
+  const slidesApi = google.slides({ version: "v1", auth });
 
-  } catch (err) {
-    console.error("Slides API Error:", err.message);
-    res.status(500).json({ error: err.message });
-  }
-});
+  // Step 1: Create presentation
+  const { data: { presentationId } } = await slidesApi.presentations.create({
+    requestBody: { title },
+  });
+
+  // Step 2: Build the slides, deleting the default one in the same batch
+  const defaultSlide = await slidesApi.presentations.get({ presentationId });
+  const defaultSlideId = defaultSlide.data.slides[0].objectId;
+  await writeSlidesToPresentation(slidesApi, presentationId, slidesData, {
+    theme,
+    direction,
+    mirror,
+    setupRequests: [{ deleteObject: { objectId: defaultSlideId } }],
+  });
+
+  return presentationId;
+}
 
-app.post("/create-slides-show", async (req, res) => {
-  try {
-    const { access_token, html_base64, file_name } = req.body;
+const SLIDE_UPDATE_MODES = ["append", "replace_generated"];
+
+// Adds the slides to an existing presentation at `insertionIndex` (past the end appends).
+// "replace_generated" first removes every slide an earlier run generated; the new slides then
+// take the place of the first one unless an index is given. Returns how many slides were removed.
+async function updatePresentationSlides(auth, presentationId, slidesData, { theme, direction, mirror, mode = "append", insertionIndex }) {
+  const slidesApi = google.slides({ version: "v1", auth });
+  const { data } = await slidesApi.presentations.get({ presentationId, fields: "slides(objectId)" });
+  const existingIds = (data.slides || []).map((slide) => slide.objectId);
+
+  const removedIds = mode === "replace_generated" ? existingIds.filter((id) => GENERATED_SLIDE_ID.test(id)) : [];
+  const keptCount = existingIds.length - removedIds.length;
+  const firstRemoved = removedIds.length ? existingIds.indexOf(removedIds[0]) : keptCount;
+
+  await writeSlidesToPresentation(slidesApi, presentationId, slidesData, {
+    theme,
+    direction,
+    mirror,
+    insertionIndex: Math.min(insertionIndex ?? firstRemoved, keptCount),
+    setupRequests: removedIds.map((objectId) => ({ deleteObject: { objectId } })),
+  });
+
+  return removedIds.length;
+}
 
+// Slide readers turn a request body into { slides, title } or { error, details }
+
+function htmlSlidesReader(extractSlides) {
+  return ({ access_token, html_base64 }) => {
     if (!access_token || !html_base64) {
-      return res.status(400).json({ error: "Missing 'access_token' or 'html_base64'" });
+      return { error: "Missing 'access_token' or 'html_base64'" };
     }
-
     const htmlContent = Buffer.from(html_base64, "base64").toString("utf8");
-    const slidesData = extractSlidesFromHtml_SlideShow(htmlContent);
-    if (!slidesData.length) {
-      return res.status(400).json({ error: "No valid slides found in HTML." });
+    const slides = extractSlides(htmlContent);
+    if (!slides.length) return { error: "No valid slides found in HTML." };
+    return { slides };
+  };
+}
+
+// The deck comes as a JSON object in `deck` or base64-encoded JSON in `deck_base64`
+function readSlideDeck({ access_token, deck, deck_base64 }) {
+  if (!access_token || (!deck && !deck_base64)) {
+    return { error: "Missing 'access_token' or 'deck'" };
+  }
+
+  let parsed = deck;
+  if (!parsed) {
+    try {
+      parsed = JSON.parse(Buffer.from(deck_base64, "base64").toString("utf8"));
+    } catch {
+      return { error: "'deck_base64' is not base64-encoded JSON" };
     }
+  }
+  if (!isPlainObject(parsed)) return { error: "The deck must be a JSON object" };
 
-    const auth = new google.auth.OAuth2();
-    auth.setCredentials({ access_token });
+  const errors = validateJsonSchema(parsed, SLIDE_DECK_SCHEMA);
+  if (errors.length) return { error: `Invalid deck: ${errors[0]}`, details: errors };
+  return { slides: normalizeSlideDeck(parsed), title: parsed.title };
+}
 
-    const slidesApi = google.slides({ version: "v1", auth });
+// Shared handler for the slide routes; they differ only in how slides are read and the default theme
+function slidesRoute(readSlides, defaultTheme) {
+  return async (req, res) => {
+    try {
+      const {
+        access_token,
+        file_name,
+        theme: requestedTheme,
+        overflow = "auto",
+        image_host = process.env.IMAGE_HOST || "drive",
+        image_folder_id = process.env.DRIVE_IMAGE_FOLDER_ID,
+        presentation_id,
+        mode = "append",
+        insertion_index,
+        direction = "auto",
+        mirror_layout,
+        keep_hosted_images = false,
+      } = req.body;
+
+      const input = readSlides(req.body);
+      if (input.error) {
+        return res.status(400).json({ error: input.error, details: input.details });
+      }
 
-    // Step 1: Create presentation
-    const presentationTitle = file_name && file_name.trim() ? file_name : "My Presentation";
-    const { data: { presentationId } } = await slidesApi.presentations.create({
-      requestBody: { title: presentationTitle },
-    });
+      if (!SLIDE_OVERFLOW_MODES.includes(overflow)) {
+        return res.status(400).json({
+          error: `Unsupported overflow '${overflow}'. Use one of: ${SLIDE_OVERFLOW_MODES.join(", ")}`,
+        });
+      }
 
-    // Step 2: Delete default slide
-    const defaultSlide = await slidesApi.presentations.get({ presentationId });
-    const defaultSlideId = defaultSlide.data.slides[0].objectId;
-    await slidesApi.presentations.batchUpdate({
-      presentationId,
-      requestBody: { requests: [{ deleteObject: { objectId: defaultSlideId } }] }
-    });
+      if (!IMAGE_HOSTS.includes(image_host)) {
+        return res.status(400).json({
+          error: `Unsupported image_host '${image_host}'. Use one of: ${IMAGE_HOSTS.join(", ")}`,
+        });
+      }
 
-    const BACKGROUND_IMAGE_URL = 'https://9b05dd864822d678c9fcbed18bf8311c.cdn.bubble.io/f1753546339862x395890190803218200/background.PNG?_gl=1*1bmqctz*_gcl_au*MTgxNzI2MDE2OC4xNzQ2NDU3OTc5*_ga*MjAzNTQ2NTk5LjE2NzcyMzIwNjY.*_ga_BFPVR2DEE2*czE3NTM1MzQ0NTckbzIxOSRnMSR0MTc1MzU0NjAzNiRqNjAkbDAkaDA.';
-    const LOGO_IMAGE_URL = 'https://9b05dd864822d678c9fcbed18bf8311c.cdn.bubble.io/f1753458006954x918763125344364000/46c94753-1589-47cd-8efa-cd023be6bd4a.png?_gl=1*zow64b*_gcl_au*MTgxNzI2MDE2OC4xNzQ2NDU3OTc5*_ga*MjAzNTQ2NTk5LjE2NzcyMzIwNjY.*_ga_BFPVR2DEE2*czE3NTM1MzQ0NTckbzIxOSRnMSR0MTc1MzU0NjAzNiRqNjAkbDAkaDA.';
+      const theme = resolveSlideTheme(requestedTheme, defaultTheme);
+      if (!theme) {
+        return res.status(400).json({
+          error: `Unknown slide theme. Use one of: ${Object.keys(SLIDE_THEMES).join(", ")}`,
+        });
+      }
 
-    const slideRequests = [];
+      if (!Object.keys(SLIDE_DIRECTIONS).includes(direction)) {
+        return res.status(400).json({
+          error: `Unsupported direction '${direction}'. Use one of: ${Object.keys(SLIDE_DIRECTIONS).join(", ")}`,
+        });
+      }
 
-    slidesData.forEach((slide, index) => {
-      const slideId = `slide_${index + 1}`;
+      if (mirror_layout !== undefined && typeof mirror_layout !== "boolean") {
+        return res.status(400).json({ error: "'mirror_layout' must be a boolean" });
+      }
 
-      // Create slide
-      slideRequests.push({
-        createSlide: {
-          objectId: slideId,
-          slideLayoutReference: { predefinedLayout: "BLANK" }
-        }
-      });
+      if (typeof keep_hosted_images !== "boolean") {
+        return res.status(400).json({ error: "'keep_hosted_images' must be a boolean" });
+      }
 
-      // Set background image
-      slideRequests.push({
-        createImage: {
-          objectId: `bg_${slideId}`,
-          url: BACKGROUND_IMAGE_URL,
-          elementProperties: {
-            pageObjectId: slideId,
-            size: { height: { magnitude: 405, unit: "PT" }, width: { magnitude: 720, unit: "PT" } },
-            transform: {
-              scaleX: 1,
-              scaleY: 1,
-              translateX: 0,
-              translateY: 0,
-              unit: "PT"
-            }
-          }
-        }
-      });
+      if (!SLIDE_UPDATE_MODES.includes(mode)) {
+        return res.status(400).json({
+          error: `Unsupported mode '${mode}'. Use one of: ${SLIDE_UPDATE_MODES.join(", ")}`,
+        });
+      }
 
-      // Add logo (bottom left)
-      slideRequests.push({
-        createImage: {
-          objectId: `logo_${slideId}`,
-          url: LOGO_IMAGE_URL,
-          elementProperties: {
-            pageObjectId: slideId,
-            size: { height: { magnitude: 40, unit: "PT" }, width: { magnitude: 40, unit: "PT" } },
-            transform: {
-              scaleX: 1,
-              scaleY: 1,
-              translateX: 10,
-              translateY: 340,
-              unit: "PT"
-            }
-          }
-        }
-      });
+      if (insertion_index !== undefined && !(Number.isInteger(insertion_index) && insertion_index >= 0)) {
+        return res.status(400).json({ error: "'insertion_index' must be a non-negative integer" });
+      }
 
-      // Add footer (bottom right)
-      slideRequests.push({
-        createShape: {
-          objectId: `footer_${slideId}`,
-          shapeType: "TEXT_BOX",
-          elementProperties: {
-            pageObjectId: slideId,
-            size: { height: { magnitude: 20, unit: "PT" }, width: { magnitude: 200, unit: "PT" } },
-            transform: {
-              scaleX: 1,
-              scaleY: 1,
-              translateX: 540,
-              translateY: 370,
-              unit: "PT"
-            }
-          }
-        }
-      });
-      slideRequests.push({
-        insertText: {
-          objectId: `footer_${slideId}`,
-          text: "HelpMeTeach.AI",
-          insertionIndex: 0
-        }
-      });
+      if (!presentation_id && (mode !== "append" || insertion_index !== undefined)) {
+        return res.status(400).json({ error: "'mode' and 'insertion_index' require 'presentation_id'" });
+      }
 
-      // Add title (centered top)
-      slideRequests.push({
-        createShape: {
-          objectId: `title_${slideId}`,
-          shapeType: "TEXT_BOX",
-          elementProperties: {
-            pageObjectId: slideId,
-            size: { height: { magnitude: 50, unit: "PT" }, width: { magnitude: 600, unit: "PT" } },
-            transform: {
-              scaleX: 1,
-              scaleY: 1,
-              translateX: 60,
-              translateY: 50,
-              unit: "PT"
-            }
-          }
-        }
-      });
-      slideRequests.push({
-        insertText: {
-          objectId: `title_${slideId}`,
-          text: slide.title,
-          insertionIndex: 0
-        }
-      });
-      slideRequests.push({
-        updateTextStyle: {
-          objectId: `title_${slideId}`,
-          style: {
-            fontSize: { magnitude: 18, unit: "PT" },
-            bold: true
-          },
-          fields: "fontSize,bold"
+      const auth = new google.auth.OAuth2();
+      auth.setCredentials({ access_token });
+
+      // Data-URI images are hosted for Slides to fetch. Slides keeps its own copy, so the
+      // Drive uploads are deleted afterwards (even on failure) unless `keep_hosted_images`.
+      const hosting = { host: image_host, auth, folderId: image_folder_id, uploads: [] };
+      try {
+        const hostedSlides = await hostSlideImages(input.slides, hosting);
+        const { slides, splits } = fitSlidesToTheme(hostedSlides, theme, overflow);
+
+        if (presentation_id) {
+          const removed = await updatePresentationSlides(auth, presentation_id, slides, {
+            theme,
+            direction,
+            mirror: mirror_layout,
+            mode,
+            insertionIndex: insertion_index,
+          });
+          const url = `https://docs.google.com/presentation/d/${presentation_id}/edit`;
+          return res.json({ url, split_slides: splits, removed_slides: removed });
         }
-      });
 
-      // Add description (centered middle)
-      slideRequests.push({
-        createShape: {
-          objectId: `desc_${slideId}`,
-          shapeType: "TEXT_BOX",
-          elementProperties: {
-            pageObjectId: slideId,
-            size: { height: { magnitude: 80, unit: "PT" }, width: { magnitude: 600, unit: "PT" } },
-            transform: {
-              scaleX: 1,
-              scaleY: 1,
-              translateX: 60,
-              translateY: 100,
-              unit: "PT"
-            }
-          }
-        }
-      });
-      slideRequests.push({
-        insertText: {
-          objectId: `desc_${slideId}`,
-          text: slide.description,
-          insertionIndex: 0
-        }
-      });
-      slideRequests.push({
-        updateTextStyle: {
-          objectId: `desc_${slideId}`,
-          style: {
-            fontSize: { magnitude: 14, unit: "PT" },
-            bold: false
-          },
-          fields: "fontSize,bold"
-        }
-      });
-    });
+        const presentationTitle = file_name && file_name.trim() ? file_name : input.title || "My Presentation";
+        const presentationId = await createPresentationFromSlides(auth, slides, {
+          title: presentationTitle,
+          theme,
+          direction,
+          mirror: mirror_layout,
+        });
+
+        const url = `https://docs.google.com/presentation/d/${presentationId}/edit`;
+        res.json({ url, split_slides: splits });
+      } finally {
+        if (!keep_hosted_images) await releaseHostedImages(hosting);
+      }
 
-    // Execute all requests
-    await slidesApi.presentations.batchUpdate({
-      presentationId,
-      requestBody: { requests: slideRequests }
-    });
+    } catch (err) {
+      console.error("Slides API Error:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  };
+}
 
-    const url = `https://docs.google.com/presentation/d/${presentationId}/edit`;
-    res.json({ url });
+app.post("/create-slides", slidesRoute(htmlSlidesReader(extractSlidesFromHtml), "helpmeteach"));
 
-  } catch (err) {
-    console.error("Slides API Error:", err.message);
-    res.status(500).json({ error: err.message });
-  }
-});
+app.post("/create-slides-show", slidesRoute(htmlSlidesReader(extractSlidesFromHtml_SlideShow), "helpmeteach-show"));
+
+app.post("/create-slides-deck", slidesRoute(readSlideDeck, "helpmeteach"));
 
 
 app.post("/open-ai-request", async (req, res) => {
   try {
-    const { prompt, model, hashkey } = req.body;
+    const { prompt, model, hashkey, stream = false, provider: providerName } = req.body;
+    const provider = resolveLlmProvider(providerName);
 
-    if (!prompt || !model || !hashkey) {
+    if (!prompt || !model || (!hashkey && provider?.requiresKey)) {
       return res.status(400).json({
         success: false,
         error: "Missing required fields: prompt, model, hashkey",
       });
     }
 
-    // Decode the base64-encoded key
-    const apiKey = Buffer.from(hashkey, "base64").toString("utf-8");
+    const providerError = llmProviderError(providerName, provider, stream ? ["text", "streaming"] : ["text"]);
+    if (providerError) {
+      return res.status(400).json({ success: false, error: providerError });
+    }
+
+    const identity = usageIdentity(req, provider);
+    if (identity.error) {
+      return res.status(401).json({ success: false, error: identity.error });
+    }
+    const budgetError = usageBudgetError(identity.account);
+    if (budgetError) {
+      return res.status(402).json({ success: false, error: budgetError });
+    }
+    const usageEntry = { ...identity, route: "/open-ai-request", provider: providerName, model };
+
     // Decode the base64-encoded prompt
     const promptValue = Buffer.from(prompt, "base64").toString("utf-8");
     
-    // Initialize OpenAI client with decoded key
-    const client = new OpenAI({ apiKey });
+    // Initialize the provider's client with the decoded key
+    const client = llmClientFor(provider, hashkey);
+
+    if (stream) {
+      return streamServerSentEvents(res, async (send, signal) => {
+        const result = await streamWithUsage(client, { model, input: promptValue }, {
+          signal,
+          onText: (text) => send("delta", { text }),
+        }, usageEntry);
+        return { success: true, model, prompt, response: result.text, usage: result.usage };
+      });
+    }
 
     // Call OpenAI Responses API
     const response = await client.responses.create({
       model: model, // dynamic model
       input: promptValue,
     });
+    recordUsage({ ...usageEntry, usage: response.usage });
 
     res.json({
       success: true,
       model,
       prompt,
       response: response.output_text,
+      usage: response.usage,
     });
   } catch (error) {
     console.error("Error:", error);
@@ -947,24 +4017,108 @@ app.post("/open-ai-request", async (req, res) => {
 
 app.post("/generate-with-image", async (req, res) => {
   try {
-    const { prompt, model, hashkey } = req.body;
-
-    if (!prompt || !model || !hashkey) {
+    const {
+      prompt,
+      model,
+      hashkey,
+      stream = false,
+      provider: providerName,
+      image_host = "inline",
+      access_token,
+      image_folder_id = process.env.DRIVE_IMAGE_FOLDER_ID,
+      image_size,
+      image_background,
+      image_quality,
+      image_count,
+    } = req.body;
+    const provider = resolveLlmProvider(providerName);
+
+    if (!prompt || !model || (!hashkey && provider?.requiresKey)) {
       return res.status(400).json({
         success: false,
         error: "Missing required fields: prompt, model, hashkey",
       });
     }
+
+    const providerError = llmProviderError(providerName, provider, stream ? ["text", "images", "streaming"] : ["text", "images"]);
+    if (providerError) {
+      return res.status(400).json({ success: false, error: providerError });
+    }
+
+    if (!GENERATED_IMAGE_HOSTS.includes(image_host)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported image_host '${image_host}'. Use one of: ${GENERATED_IMAGE_HOSTS.join(", ")}`,
+      });
+    }
+
+    if (image_host === "drive" && !access_token) {
+      return res.status(400).json({ success: false, error: "image_host 'drive' requires access_token" });
+    }
+
+    if (image_host === "local" && !process.env.PUBLIC_BASE_URL) {
+      return res.status(400).json({ success: false, error: "image_host 'local' requires PUBLIC_BASE_URL to be set on the server" });
+    }
+
+    const imageOptionsError = generatedImageOptionsError(req.body);
+    if (imageOptionsError) {
+      return res.status(400).json({ success: false, error: imageOptionsError });
+    }
+
+    const identity = usageIdentity(req, provider);
+    if (identity.error) {
+      return res.status(401).json({ success: false, error: identity.error });
+    }
+    const budgetError = usageBudgetError(identity.account);
+    if (budgetError) {
+      return res.status(402).json({ success: false, error: budgetError });
+    }
+    const usageEntry = { ...identity, route: "/generate-with-image", provider: providerName, model, imageQuality: image_quality };
+
+    const image = { size: image_size, background: image_background, quality: image_quality, count: image_count };
+    let auth;
+    if (access_token) {
+      auth = new google.auth.OAuth2();
+      auth.setCredentials({ access_token });
+    }
+    const hosting = { host: image_host, auth, folderId: image_folder_id };
+
     // Decode the base64-encoded prompt
     const promptValue = Buffer.from(prompt, "base64").toString("utf-8");
 
-    const result = await generateTextAndImage(promptValue, model, hashkey);
+    if (stream) {
+      const client = llmClientFor(provider, hashkey);
+      return streamServerSentEvents(res, async (send, signal) => {
+        const imageSrcs = [];
+        const result = await streamWithUsage(client, textAndImageRequest(promptValue, model, image), {
+          signal,
+          onText: (text) => send("delta", { text }),
+          onImage: async (b64Json, index) => {
+            if (image_count && index >= image_count) return;
+            const src = await generatedImageSrc(b64Json, hosting);
+            imageSrcs.push(src);
+            send("image", image_host === "inline" ? { index, b64_json: b64Json } : { index, url: src });
+          },
+        }, usageEntry);
+        return {
+          success: true,
+          model,
+          prompt,
+          response: htmlWithImages(result.text, imageSrcs),
+          imagesCount: imageSrcs.length,
+          usage: result.usage,
+        };
+      });
+    }
+
+    const result = await generateTextAndImage(promptValue, model, hashkey, provider, { image, hosting, usageEntry });
 
     res.json({
       success: true,
       model,
       prompt,
       response: result.html,
+      usage: result.usage,
     });
 
   } catch (error) {
@@ -973,30 +4127,452 @@ app.post("/generate-with-image", async (req, res) => {
   }
 });
 
+// ---- Prompt to artifact ----
+// /generate-artifact asks the model for structured output in the target's schema
+// (schemas/artifact-<name>.schema.json), turns the reply into the matching builder's input
+// and creates the Google file in one call.
+
+// JSON schema without the keys the structured-output API does not accept at the root
+function structuredOutputSchema(name) {
+  const { $schema, $id, title, ...schema } = loadSchema(name);
+  return schema;
+}
+
+// Structured-output schemas allow no optional fields, so unused ones come back null
+function withoutNulls(value) {
+  if (Array.isArray(value)) return value.map(withoutNulls);
+  if (!isPlainObject(value)) return value;
+  return Object.fromEntries(
+    Object.entries(value).filter(([, v]) => v !== null).map(([key, v]) => [key, withoutNulls(v)])
+  );
+}
+
+// HTML tables for generated sheet content, in the form extractTablesFromHtml reads
+function artifactTablesHtml(tables) {
+  const { document } = new JSDOM("").window;
+  return tables
+    .map((table) => {
+      const el = document.createElement("table");
+      el.createCaption().textContent = table.title;
+      [table.header, ...table.rows].forEach((cells, rowIndex) => {
+        const row = el.insertRow();
+        cells.forEach((text) => {
+          const cell = document.createElement(rowIndex ? "td" : "th");
+          cell.textContent = text;
+          row.appendChild(cell);
+        });
+      });
+      return el.outerHTML;
+    })
+    .join("\n");
+}
+
+const ARTIFACT_SLIDE_FIELDS = {
+  title: ["title", "subtitle"],
+  section: ["title", "subtitle"],
+  title_body: ["title", "body"],
+  two_column: ["title", "left", "right"],
+  quote: ["title", "quote", "attribution"],
+  table: ["title", "rows"],
+};
+
+function slidesArtifact(defaultTheme) {
+  return {
+    schema: "artifact-slides",
+    instructions:
+      "Write a slide deck for the user's request. Pick a type per slide: title (opening), section " +
+      "(divider), title_body (paragraphs or bullets in body), two_column (left and right), quote " +
+      "(quote and attribution) or table (rows, header first). Leave fields the type does not use null.",
+    prepare: (content) => {
+      const deck = withoutNulls(content);
+      // Drop whatever the model filled in for fields the slide's type does not have
+      deck.slides = deck.slides.map((slide) => {
+        const fields = ["type", ...ARTIFACT_SLIDE_FIELDS[slide.type], "notes"].filter((key) => key in slide);
+        return Object.fromEntries(fields.map((key) => [key, slide[key]]));
+      });
+      const errors = validateJsonSchema(deck, SLIDE_DECK_SCHEMA);
+      return errors.length ? { errors } : { input: deck };
+    },
+    create: async (deck, { auth, body }) => {
+      const theme = resolveSlideTheme(body.theme, defaultTheme);
+      if (!theme) throw new Error(`Unknown slide theme. Use one of: ${Object.keys(SLIDE_THEMES).join(", ")}`);
+      const { slides } = fitSlidesToTheme(normalizeSlideDeck(deck), theme);
+      const presentationId = await createPresentationFromSlides(auth, slides, { title: body.file_name || deck.title, theme });
+      return `https://docs.google.com/presentation/d/${presentationId}/edit`;
+    },
+  };
+}
+
+// Per target: the output `schema`, model `instructions`, `prepare(content, body)` giving
+// { input } or { errors }, `create(input, { auth, body })` giving the file URL, and
+// optionally `requestError(body)`, checked before the model is called
+const ARTIFACT_TARGETS = {
+  doc: {
+    schema: "artifact-doc",
+    instructions: "Write a document for the user's request as HTML: headings, paragraphs, lists and tables.",
+    prepare: (content) => ({ input: content }),
+    create: async (content, { auth, body }) => {
+      const docs = google.docs({ version: "v1", auth });
+      const created = await docs.documents.create({ requestBody: { title: body.file_name || content.title } });
+      await renderHtmlIntoDoc(docs, created.data.documentId, content.html, 1);
+      return `https://docs.google.com/document/d/${created.data.documentId}/edit`;
+    },
+  },
+  slides: slidesArtifact("helpmeteach"),
+  slideshow: slidesArtifact("helpmeteach-show"),
+  sheet: {
+    schema: "artifact-sheet",
+    instructions: "Put the data for the user's request into one or more tables, each with a header row.",
+    prepare: (content) => {
+      const tables = extractTablesFromHtml(artifactTablesHtml(content.tables));
+      return tables.length ? { input: { title: content.title, tables } } : { errors: ["tables must be a non-empty array"] };
+    },
+    create: async ({ title, tables }, { auth, body }) => {
+      const { spreadsheetId } = await createStyledSheet(auth, tables, { title: body.file_name || title, freeze_header: true, auto_resize: true });
+      return `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit`;
+    },
+  },
+  form: {
+    schema: "artifact-form",
+    requestError: (body) => formQuizOptionsError(formQuizOptions(body.quiz)),
+    instructions:
+      "Write a form or quiz for the user's request, grouped into sections. Choice questions need " +
+      "options; give correct answers in answer when there are any.",
+    prepare: (content, body) => {
+      const data = withoutNulls(content.sections).map(({ questions, ...section }) => ({
+        ...section,
+        questions: questions.map(({ answer, ...q }) => ({ ...q, ...(answer && { answers: answer }) })),
+      }));
+      const payload = { data };
+      const errors = formPayloadErrors(payload, formQuizOptions(body.quiz));
+      return errors.length ? { errors } : { input: { title: content.title, payload } };
+    },
+    create: async ({ title, payload }, { body }) => {
+      const quiz = formQuizOptions(body.quiz);
+      const { url } = await createGoogleForm(body.access_token, body.file_name || title, payload, { quiz });
+      return url;
+    },
+  },
+};
+
+app.post("/generate-artifact", async (req, res) => {
+  try {
+    const { prompt, model, hashkey, provider: providerName, target, access_token } = req.body;
+    const provider = resolveLlmProvider(providerName);
+
+    if (!prompt || !model || !access_token || (!hashkey && provider?.requiresKey)) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required fields: prompt, model, access_token, hashkey",
+      });
+    }
+
+    const artifact = ARTIFACT_TARGETS[target];
+    if (!artifact) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported target '${target}'. Use one of: ${Object.keys(ARTIFACT_TARGETS).join(", ")}`,
+      });
+    }
+
+    const providerError = llmProviderError(providerName, provider, ["text", "structured"]);
+    if (providerError) {
+      return res.status(400).json({ success: false, error: providerError });
+    }
+
+    const requestError = artifact.requestError?.(req.body);
+    if (requestError) {
+      return res.status(400).json({ success: false, error: requestError });
+    }
+
+    const identity = usageIdentity(req, provider);
+    if (identity.error) {
+      return res.status(401).json({ success: false, error: identity.error });
+    }
+    const budgetError = usageBudgetError(identity.account);
+    if (budgetError) {
+      return res.status(402).json({ success: false, error: budgetError });
+    }
+
+    // Decode the base64-encoded prompt
+    const promptValue = Buffer.from(prompt, "base64").toString("utf-8");
+    const schema = structuredOutputSchema(artifact.schema);
+
+    const client = llmClientFor(provider, hashkey);
+    const response = await client.responses.create({
+      model,
+      instructions: artifact.instructions,
+      input: promptValue,
+      text: { format: { type: "json_schema", name: `${target}_artifact`, schema, strict: true } },
+    });
+    // Recorded before the reply is checked: an unusable reply still cost tokens
+    recordUsage({ ...identity, route: "/generate-artifact", provider: providerName, model, usage: response.usage });
+
+    // Providers without strict structured output can still send something else
+    let content;
+    try {
+      content = JSON.parse(response.output_text);
+    } catch {
+      return res.status(502).json({ success: false, error: "The model's reply is not JSON", response: response.output_text });
+    }
+    const schemaErrors = validateJsonSchema(content, schema);
+    const prepared = schemaErrors.length ? { errors: schemaErrors } : artifact.prepare(content, req.body);
+    if (prepared.errors) {
+      return res.status(502).json({
+        success: false,
+        error: `The model's reply cannot be used: ${prepared.errors[0]}`,
+        details: prepared.errors,
+        content,
+      });
+    }
+
+    const auth = new google.auth.OAuth2();
+    auth.setCredentials({ access_token });
+    const url = await artifact.create(prepared.input, { auth, body: req.body });
+
+    res.json({ success: true, target, url, content, usage: response.usage });
+
+  } catch (error) {
+    console.error("Artifact generation failed:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 app.post("/create-google-form", async (req, res) => {
   try {
-    const { accessToken, formTitle, base64Json } = req.body;
+    const { accessToken, formTitle, base64Json, quiz } = req.body;
 
     if (!accessToken || !formTitle || !base64Json) {
       return res.status(400).json({ error: "Missing required fields" });
     }
-    
+
+    const quizOptions = formQuizOptions(quiz);
+    const quizError = formQuizOptionsError(quizOptions);
+    if (quizError) {
+      return res.status(400).json({ error: quizError });
+    }
+
+    const { payload, error, details } = readFormPayload(base64Json, quizOptions);
+    if (error) {
+      return res.status(400).json({ success: false, error, details });
+    }
 
     // Call Google Form creation
-    const formUrl = await createGoogleForm(accessToken,formTitle,base64Json );
+    const { url, warnings } = await createGoogleForm(accessToken, formTitle, payload, { quiz: quizOptions });
 
     res.json({
       success: true,
-      url: formUrl
+      url,
+      ...(warnings.length && { warnings }),
     });
 
   } catch (error) {
-    console.error("Form creation failed:", error?.response?.data || error);
+    console.error("Form creation failed:", error.message);
 
     res.status(500).json({
       success: false,
-      error: error?.response?.data || error
+      error: error.message
+    });
+  }
+});
+
+// Exports a form's responses to a styled sheet. With `spreadsheetId` (from an earlier export)
+// only responses the sheet does not have yet are appended.
+app.post("/export-form-responses", async (req, res) => {
+  try {
+    const { accessToken, formId, spreadsheetId, title, theme = "classic" } = req.body;
+
+    if (!accessToken || !formId) {
+      return res.status(400).json({ success: false, error: "Missing 'accessToken' or 'formId'" });
+    }
+
+    if (!SHEET_THEMES[theme]) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown theme '${theme}'. Use one of: ${Object.keys(SHEET_THEMES).join(", ")}`,
+      });
+    }
+
+    const form = await formsApiGet(accessToken, formId);
+    const responses = await listFormResponses(accessToken, formId);
+    const isQuiz = Boolean(form.settings?.quizSettings?.isQuiz);
+    const columns = formQuestionColumns(form);
+    const header = formResponseHeader(columns, isQuiz);
+
+    const auth = new google.auth.OAuth2();
+    auth.setCredentials({ access_token: accessToken });
+    const sheets = google.sheets({ version: "v4", auth });
+
+    if (!spreadsheetId) {
+      const rows = responses.map((response) => formResponseRow(response, columns, isQuiz));
+      const values = [header, ...rows];
+      const sheetRes = await sheets.spreadsheets.create({
+        requestBody: {
+          properties: { title: title || `${form.info?.title || "Form"} responses` },
+          sheets: [{
+            properties: {
+              sheetId: 0,
+              title: FORM_RESPONSES_TAB,
+              gridProperties: {
+                rowCount: Math.max(1000, values.length),
+                columnCount: Math.max(26, header.length),
+              },
+            },
+          }],
+        },
+      });
+      const newSpreadsheetId = sheetRes.data.spreadsheetId;
+
+      await sheets.spreadsheets.values.update({
+        spreadsheetId: newSpreadsheetId,
+        range: sheetRangeStart(FORM_RESPONSES_TAB),
+        valueInputOption: "RAW",
+        requestBody: { values },
+      });
+
+      const tab = { title: FORM_RESPONSES_TAB, rowCount: values.length, columnCount: header.length, cells: [] };
+      await sheets.spreadsheets.batchUpdate({
+        spreadsheetId: newSpreadsheetId,
+        requestBody: {
+          requests: [
+            ...buildSheetStyleRequests(0, values.length, SHEET_THEMES[theme]),
+            ...buildSheetPresentationRequests(0, tab, { freeze_header: true, auto_resize: true }),
+          ],
+        },
+      });
+
+      return res.json({
+        success: true,
+        url: `https://docs.google.com/spreadsheets/d/${newSpreadsheetId}/edit`,
+        spreadsheetId: newSpreadsheetId,
+        added: rows.length,
+        total: rows.length,
+      });
+    }
+
+    // Incremental sync: the existing header must still match the form's questions
+    const { data: spreadsheet } = await sheets.spreadsheets.get({ spreadsheetId, fields: "sheets.properties" });
+    const responsesTab = spreadsheet.sheets.find((sheet) => sheet.properties.title === FORM_RESPONSES_TAB);
+    if (!responsesTab) {
+      return res.status(400).json({ success: false, error: `The spreadsheet has no '${FORM_RESPONSES_TAB}' tab` });
+    }
+
+    const quotedTab = `'${FORM_RESPONSES_TAB}'`;
+    const { data: existing } = await sheets.spreadsheets.values.batchGet({
+      spreadsheetId,
+      ranges: [`${quotedTab}!1:1`, `${quotedTab}!A:A`],
+    });
+    const existingHeader = (existing.valueRanges[0].values || [[]])[0];
+    if (existingHeader.join("\u0000") !== header.join("\u0000")) {
+      return res.status(409).json({
+        success: false,
+        error: "The form's questions changed since this sheet was created; export to a new sheet instead",
+      });
+    }
+
+    const existingIds = (existing.valueRanges[1].values || []).map((row) => row[0]);
+    const known = new Set(existingIds.slice(1));
+    const rows = responses
+      .filter((response) => !known.has(response.responseId))
+      .map((response) => formResponseRow(response, columns, isQuiz));
+
+    if (rows.length) {
+      await sheets.spreadsheets.values.append({
+        spreadsheetId,
+        range: sheetRangeStart(FORM_RESPONSES_TAB),
+        valueInputOption: "RAW",
+        insertDataOption: "INSERT_ROWS",
+        requestBody: { values: rows },
+      });
+
+      const rowCount = existingIds.length + rows.length;
+      await sheets.spreadsheets.batchUpdate({
+        spreadsheetId,
+        requestBody: {
+          requests: buildSheetStyleRequests(responsesTab.properties.sheetId, rowCount, SHEET_THEMES[theme], existingIds.length),
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      url: `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit`,
+      spreadsheetId,
+      added: rows.length,
+      total: existingIds.length - 1 + rows.length,
+    });
+
+  } catch (error) {
+    console.error("Form response export failed:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// True when the request carries `Authorization: Bearer <USAGE_ADMIN_TOKEN>`
+function isUsageAdmin(req) {
+  const token = process.env.USAGE_ADMIN_TOKEN;
+  const given = (req.get("authorization") || "").replace(/^Bearer\s+/i, "");
+  if (!token || !given) return false;
+  const a = crypto.createHash("sha256").update(given).digest();
+  const b = crypto.createHash("sha256").update(token).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// Usage totals from the ledger, for admins only (see isUsageAdmin). Query: group_by
+// (comma-separated, default "account,model,day"), account, caller, from and to (inclusive
+// YYYY-MM-DD days).
+app.get("/usage-report", (req, res) => {
+  try {
+    if (!process.env.USAGE_ADMIN_TOKEN) {
+      return res.status(403).json({ success: false, error: "Usage reports are disabled; set USAGE_ADMIN_TOKEN to enable them" });
+    }
+    if (!isUsageAdmin(req)) {
+      return res.status(401).json({ success: false, error: "A valid admin token is required" });
+    }
+
+    const { group_by = "account,model,day", account, caller, from, to } = req.query;
+    const groupBy = String(group_by).split(",").map((name) => name.trim()).filter(Boolean);
+
+    const unknown = groupBy.find((name) => !USAGE_GROUPS[name]);
+    if (unknown) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported group_by '${unknown}'. Use any of: ${Object.keys(USAGE_GROUPS).join(", ")}`,
+      });
+    }
+
+    const badDay = [from, to].find((day) => day !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(day));
+    if (badDay !== undefined) {
+      return res.status(400).json({ success: false, error: `'${badDay}' is not a YYYY-MM-DD day` });
+    }
+
+    const ledger = readUsageLedger();
+    const entries = ledger.filter((entry) => {
+      const day = entry.at.slice(0, 10);
+      return (!account || entry.account === account)
+        && (!caller || entry.caller === caller)
+        && (!from || day >= from)
+        && (!to || day <= to);
+    });
+
+    const budgeted = account ? [account] : [...new Set([...Object.keys(USAGE_BUDGETS.accounts || {}), ...ledger.map((entry) => entry.account)])];
+    const budgets = budgeted
+      .map((name) => ({ account: name, budget: usageBudget(name), spent: Number(monthlySpend(name, ledger).toFixed(6)) }))
+      .filter(({ budget }) => budget !== null)
+      .map((row) => ({ ...row, remaining: Number(Math.max(0, row.budget - row.spent).toFixed(6)) }));
+
+    res.json({
+      success: true,
+      currency: LLM_PRICING.currency,
+      group_by: groupBy,
+      rows: aggregateUsage(entries, groupBy),
+      totals: aggregateUsage(entries, [])[0] || emptyUsageRow(),
+      budgets,
     });
+
+  } catch (error) {
+    console.error("Usage report failed:", error.message);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
@@ -1004,6 +4580,70 @@ app.get("/", (req, res) => {
   res.send("✅ Code running");
 });
 
-app.listen(3000, () => {
-  console.log("🚀 Server running on port 3000");
-});
+if (require.main === module) {
+  app.listen(3000, () => {
+    console.log("🚀 Server running on port 3000");
+  });
+}
+
+// For the tests under test/
+module.exports = {
+  app,
+  buildDocRequests,
+  buildDocRequestsFromHtml,
+  parseHtmlToDocBlocks,
+  buildDirectionRequestsForContent,
+  resolveDocInsertion,
+  extractTablesFromHtml,
+  uniqueSheetTitles,
+  buildSheetStyleRequests,
+  layoutTableGrid,
+  buildSheetCellRequests,
+  parseTypedValue,
+  buildTypedSheetRequests,
+  parseA1Range,
+  sheetOptionsError,
+  buildSheetPresentationRequests,
+  SLIDE_THEMES,
+  loadSlideThemes,
+  resolveSlideTheme,
+  extractSlidesFromHtml,
+  layoutSlideParagraphs,
+  fitSlidesToTheme,
+  parseDataUri,
+  hostImage,
+  hostSlideImages,
+  buildSlideRequests,
+  extractSlidesFromHtml_SlideShow,
+  buildSpeakerNotesRequests,
+  slideParagraphsText,
+  validateJsonSchema,
+  normalizeSlideDeck,
+  readSlideDeck,
+  updatePresentationSlides,
+  slideDeckPlacement,
+  buildFormItem,
+  formQuizOptions,
+  buildFormItems,
+  readFormPayload,
+  formQuestionColumns,
+  formResponseHeader,
+  formResponseRow,
+  streamOpenAiResponse,
+  streamServerSentEvents,
+  ARTIFACT_TARGETS,
+  structuredOutputSchema,
+  sampleForSchema,
+  generatedImageOptionsError,
+  textAndImageRequest,
+  usageCost,
+  aggregateUsage,
+  usageIdentity,
+  streamWithUsage,
+  LLM_PROVIDERS,
+  hostHtmlImages,
+  releaseHostedImages,
+  flattenDocParagraphBlocks,
+  generateTextAndImage,
+  sheetReferenceError,
+};
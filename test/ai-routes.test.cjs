@@ -0,0 +1,183 @@
+// The AI routes against the fake provider, which answers offline and deterministically
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "ai-routes-"));
+process.env.IMAGE_STORE_DIR = path.join(tmp, "images");
+process.env.USAGE_LEDGER_FILE = path.join(tmp, "ledger.jsonl");
+process.env.USAGE_BUDGETS_FILE = path.join(tmp, "budgets.json");
+process.env.USAGE_CALLERS_FILE = path.join(tmp, "callers.json");
+process.env.USAGE_ADMIN_TOKEN = "admin-secret";
+fs.writeFileSync(process.env.USAGE_BUDGETS_FILE, JSON.stringify({ accounts: { server: 0.00001, "caller:bo": 0.00001 } }));
+fs.writeFileSync(process.env.USAGE_CALLERS_FILE, JSON.stringify({ "token-ana": "ana", "token-bo": "bo" }));
+
+const { app, generatedImageOptionsError, textAndImageRequest } = require("../index.cjs");
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+const prompt = Buffer.from("Write a haiku").toString("base64");
+
+async function post(route, body, headers = {}) {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method: "POST",
+    headers: { "content-type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+  const text = await response.text();
+  return { status: response.status, text, json: () => JSON.parse(text) };
+}
+
+function parseEvents(text) {
+  return text.trim().split("\n\n").map((chunk) => {
+    const [event, data] = chunk.split("\n");
+    return { event: event.slice("event: ".length), data: JSON.parse(data.slice("data: ".length)) };
+  });
+}
+
+// Unpriced, so these calls cost nothing against the "server" budget
+const model = "test-model";
+
+test("/open-ai-request answers through the fake provider with usage", async () => {
+  const response = await post("/open-ai-request", { prompt, model, provider: "fake" });
+  assert.equal(response.status, 200);
+
+  const body = response.json();
+  assert.equal(body.response, "Fake test-model response to: Write a haiku");
+  assert.deepEqual(body.usage, { input_tokens: 3, output_tokens: 7, total_tokens: 10 });
+});
+
+test("/open-ai-request rejects missing fields and unknown providers", async () => {
+  assert.equal((await post("/open-ai-request", { model, provider: "fake" })).status, 400);
+  assert.equal((await post("/open-ai-request", { prompt, model, provider: "openai" })).status, 400);
+
+  const unknown = await post("/open-ai-request", { prompt, model, provider: "nope" });
+  assert.equal(unknown.status, 400);
+  assert.match(unknown.json().error, /Unknown provider 'nope'/);
+});
+
+test("/open-ai-request streams deltas and a done event", async () => {
+  const response = await post("/open-ai-request", { prompt, model, provider: "fake", stream: true });
+  const events = parseEvents(response.text);
+
+  const deltas = events.filter(({ event }) => event === "delta").map(({ data }) => data.text);
+  assert.equal(deltas.join(""), "Fake test-model response to: Write a haiku");
+  assert.equal(events.at(-1).event, "done");
+  assert.equal(events.at(-1).data.response, deltas.join(""));
+  assert.equal(events.at(-1).data.usage.total_tokens, 10);
+});
+
+test("/generate-with-image inlines images and validates image options", async () => {
+  const response = await post("/generate-with-image", { prompt, model, provider: "fake" });
+  assert.equal(response.status, 200);
+  assert.match(response.json().response, /^Fake test-model response to: Write a haiku<img src="data:image\/png;base64,/);
+
+  const badSize = await post("/generate-with-image", { prompt, model, provider: "fake", image_size: "2x2" });
+  assert.equal(badSize.status, 400);
+
+  const noToken = await post("/generate-with-image", { prompt, model, provider: "fake", image_host: "drive" });
+  assert.match(noToken.json().error, /requires access_token/);
+
+  const noBaseUrl = await post("/generate-with-image", { prompt, model, provider: "fake", image_host: "local" });
+  assert.equal(noBaseUrl.status, 400);
+  assert.match(noBaseUrl.json().error, /requires PUBLIC_BASE_URL/);
+});
+
+test("/generate-with-image can serve the images from the local store", async (t) => {
+  t.after(() => delete process.env.PUBLIC_BASE_URL);
+  process.env.PUBLIC_BASE_URL = "https://example.test";
+
+  const response = await post("/generate-with-image", { prompt, model, provider: "fake", image_host: "local", stream: true });
+  const events = parseEvents(response.text);
+  const image = events.find(({ event }) => event === "image").data;
+  assert.match(image.url, /^https:\/\/example\.test\/images\/[0-9a-f]{32}\.png$/);
+  assert.ok(fs.existsSync(path.join(process.env.IMAGE_STORE_DIR, path.basename(image.url))));
+  assert.match(events.at(-1).data.response, new RegExp(`<img src="${image.url}"`));
+});
+
+test("image options are checked and passed to the image tool", () => {
+  assert.equal(generatedImageOptionsError({ image_size: "1024x1536", image_count: 2 }), null);
+  assert.match(generatedImageOptionsError({ image_quality: "ultra" }), /Unsupported image_quality 'ultra'/);
+  assert.match(generatedImageOptionsError({ image_count: 5 }), /from 1 to 4/);
+
+  const request = textAndImageRequest("Draw a cat", "gpt-5", { size: "auto", quality: "low", count: 2 });
+  assert.deepEqual(request.tools, [{ type: "image_generation", size: "auto", background: "transparent", quality: "low" }]);
+  assert.equal(request.input[0].content[0].text, "Draw a cat\n\nGenerate exactly 2 images.");
+});
+
+test("providers are checked for the capabilities a route needs", async () => {
+  const response = await post("/generate-with-image", { prompt, model, provider: "openai-compatible" });
+  assert.equal(response.status, 400);
+  assert.match(response.json().error, /does not support image generation/);
+});
+
+test("/generate-artifact rejects unknown targets and bad quiz options before calling the model", async () => {
+  const response = await post("/generate-artifact", { prompt, model, provider: "fake", target: "poster", access_token: "x" });
+  assert.equal(response.status, 400);
+  assert.match(response.json().error, /Unsupported target 'poster'/);
+
+  const noToken = await post("/generate-artifact", { prompt, model, provider: "fake", target: "doc" });
+  assert.equal(noToken.status, 400);
+
+  const badQuiz = await post("/generate-artifact", { prompt, model, provider: "fake", target: "form", access_token: "x", quiz: { defaultPoints: -1 } });
+  assert.equal(badQuiz.status, 400);
+  assert.match(badQuiz.json().error, /defaultPoints' must be a non-negative integer/);
+});
+
+test("/usage-report sums the ledger per group for the admin token only", async () => {
+  assert.equal((await fetch(`${baseUrl}/usage-report`)).status, 401);
+  const report = (query) => fetch(`${baseUrl}/usage-report${query}`, { headers: { authorization: "Bearer admin-secret" } });
+
+  const response = await report("?group_by=model,route&account=server");
+  const body = await response.json();
+  assert.equal(response.status, 200);
+  assert.ok(body.rows.length);
+  assert.ok(body.rows.every((row) => row.model === model && row.unpriced_calls === row.calls));
+  assert.equal(body.totals.calls, body.rows.reduce((sum, row) => sum + row.calls, 0));
+
+  assert.equal((await report("?group_by=colour")).status, 400);
+  assert.equal((await report("?from=yesterday")).status, 400);
+});
+
+test("callers with a token are billed and budgeted on their own", async () => {
+  const asAna = await post("/open-ai-request", { prompt, model: "gpt-5", provider: "fake" }, { "x-caller-token": "token-ana" });
+  assert.equal(asAna.status, 200);
+
+  const asBo = () => post("/open-ai-request", { prompt, model: "gpt-5", provider: "fake", caller: "ana" }, { "x-caller-token": "token-bo" });
+  assert.equal((await asBo()).status, 200);
+  const spent = await asBo();
+  assert.equal(spent.status, 402);
+  assert.match(spent.json().error, /for 'caller:bo' is used up/);
+
+  const unknown = await post("/open-ai-request", { prompt, model, provider: "fake" }, { "x-caller-token": "guess" });
+  assert.equal(unknown.status, 401);
+
+  const response = await fetch(`${baseUrl}/usage-report?group_by=account,caller`, { headers: { authorization: "Bearer admin-secret" } });
+  const rows = (await response.json()).rows;
+  assert.ok(rows.some((row) => row.account === "caller:ana" && row.caller === "ana"));
+  assert.ok(rows.some((row) => row.account === "caller:bo" && row.caller === "bo"));
+});
+
+// Last, since it spends the "server" budget every other test draws on
+test("a spent budget cannot be dodged with another caller label", async () => {
+  const first = await post("/open-ai-request", { prompt, model: "gpt-5", provider: "fake", caller: "teacher-a" });
+  assert.equal(first.status, 200);
+
+  const second = await post("/open-ai-request", { prompt, model: "gpt-5", provider: "fake", caller: "anything-else" });
+  assert.equal(second.status, 402);
+  assert.match(second.json().error, /budget .* for 'server' is used up/);
+});
@@ -0,0 +1,40 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ARTIFACT_TARGETS, structuredOutputSchema, sampleForSchema } = require("../index.cjs");
+
+test("every target accepts the fake provider's sample of its schema", () => {
+  Object.entries(ARTIFACT_TARGETS).forEach(([target, artifact]) => {
+    const schema = structuredOutputSchema(artifact.schema);
+    assert.equal(schema.$schema, undefined);
+    const prepared = artifact.prepare(sampleForSchema(schema), {});
+    assert.ok(prepared.input, `${target}: ${prepared.errors}`);
+  });
+});
+
+test("slide replies keep only the fields of each slide's type", () => {
+  const { input } = ARTIFACT_TARGETS.slides.prepare({
+    title: "Cells",
+    slides: [
+      { type: "quote", title: "Hooke", quote: "Cells!", attribution: null, body: ["stray"], left: null, notes: null },
+      { type: "title_body", title: "Parts", body: ["Nucleus", { text: "Membrane", bullet: "disc", level: null }], quote: "stray" },
+    ],
+  });
+
+  assert.deepEqual(input.slides, [
+    { type: "quote", title: "Hooke", quote: "Cells!" },
+    { type: "title_body", title: "Parts", body: ["Nucleus", { text: "Membrane", bullet: "disc" }] },
+  ]);
+});
+
+test("sheet and form replies are checked against the builders' input", () => {
+  const sheet = ARTIFACT_TARGETS.sheet.prepare({ title: "Scores", tables: [{ title: "Week 1", header: ["Name", "Score"], rows: [["Ana", "12"]] }] }, {});
+  assert.deepEqual(sheet.input.tables[0].values, [["Name", "Score"], ["Ana", "12"]]);
+  assert.equal(sheet.input.tables[0].title, "Week 1");
+  assert.deepEqual(ARTIFACT_TARGETS.sheet.prepare({ title: "Empty", tables: [] }, {}).errors, ["tables must be a non-empty array"]);
+
+  const form = ARTIFACT_TARGETS.form.prepare({
+    title: "Quiz",
+    sections: [{ title: "Q", description: null, questions: [{ question: "Pick", type: "mcq", options: null, answer: null }] }],
+  }, {});
+  assert.deepEqual(form.errors, ["data[0].questions[0].options is required for 'mcq' questions"]);
+});
@@ -0,0 +1,225 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  buildDocRequests,
+  buildDocRequestsFromHtml,
+  parseHtmlToDocBlocks,
+  buildDirectionRequestsForContent,
+  flattenDocParagraphBlocks,
+  resolveDocInsertion,
+} = require("../index.cjs");
+
+const requestsOf = (requests, name) => requests.filter((request) => request[name]).map((request) => request[name]);
+const insertedText = (requests) => requestsOf(requests, "insertText").map(({ location, text }) => [location.index, text]);
+
+test("paragraphs are inserted back to back from the start index", () => {
+  const { requests, endIndex } = buildDocRequestsFromHtml("<h1>Title</h1><p>Hello <b>bold</b></p>", 1);
+
+  assert.deepEqual(insertedText(requests), [
+    [1, "Title\n"],
+    [7, "Hello bold\n"],
+  ]);
+  assert.equal(endIndex, 18);
+
+  const [heading] = requestsOf(requests, "updateParagraphStyle");
+  assert.deepEqual(heading.range, { startIndex: 1, endIndex: 7 });
+  assert.equal(heading.paragraphStyle.namedStyleType, "HEADING_1");
+
+  const bold = requestsOf(requests, "updateTextStyle").find((style) => style.textStyle.bold);
+  assert.deepEqual(bold.range, { startIndex: 13, endIndex: 17 });
+});
+
+test("nesting tabs are removed from the index once bullets are created", () => {
+  const { requests, endIndex } = buildDocRequestsFromHtml("<ul><li>a</li><li>b<ul><li>c</li></ul></li></ul><p>End</p>", 1);
+
+  const [bullets] = requestsOf(requests, "createParagraphBullets");
+  assert.deepEqual(bullets, { range: { startIndex: 1, endIndex: 8 }, bulletPreset: "BULLET_DISC_CIRCLE_SQUARE" });
+  // "a\n" "b\n" "\tc\n", then the tab is consumed, so "End" starts at 7 rather than 8
+  assert.deepEqual(insertedText(requests).at(-1), [7, "End\n"]);
+  assert.equal(endIndex, 11);
+});
+
+test("table cells are filled last cell first, after the table is inserted", () => {
+  const { requests, endIndex } = buildDocRequestsFromHtml("<p>x</p><table><tr><td>a</td><td>b</td></tr></table><p>y</p>", 1);
+
+  assert.deepEqual(requestsOf(requests, "insertTable"), [{ rows: 1, columns: 2, location: { index: 3 } }]);
+  assert.deepEqual(insertedText(requests), [
+    [1, "x\n"],
+    [9, "b"],
+    [7, "a"],
+    [13, "y\n"],
+  ]);
+  assert.equal(endIndex, 15);
+});
+
+test("buildDocRequests can fill the paragraph it starts in", () => {
+  const blocks = parseHtmlToDocBlocks("<p>One</p><p>Two</p>");
+  const { requests, endIndex } = buildDocRequests(blocks, 5, { fillsExistingParagraph: true });
+
+  // The last block reuses the existing paragraph's newline instead of adding one
+  assert.deepEqual(insertedText(requests), [
+    [5, "One\n"],
+    [9, "Two"],
+  ]);
+  assert.equal(endIndex, 12);
+});
+
+test("links, colours and unfetchable images become text styles and alt text", () => {
+  const [block] = parseHtmlToDocBlocks(
+    '<p><img src="data:image/png;base64,AAAA" alt="Chart"> <a href="https://example.com">link</a> <span style="color:red">red</span></p>'
+  );
+  const [alt, , link, , red] = block.runs;
+
+  assert.deepEqual(alt, { text: "[Chart]", style: { italic: true } });
+  assert.deepEqual(link.style.link, { url: "https://example.com" });
+  assert.deepEqual(red.style.foregroundColor, { color: { rgbColor: { red: 1, green: 0, blue: 0 } } });
+
+  const [linked] = parseHtmlToDocBlocks('<p><img src="https://example.com/a.png" alt="Chart"></p>');
+  assert.equal(linked.runs[0].image.uri, "https://example.com/a.png");
+});
+
+test("each paragraph gets its own direction, and an explicit dir wins over detection", () => {
+  const blocks = parseHtmlToDocBlocks('<p dir="rtl">Hello</p><p>שלום</p><p dir="ltr">שלום</p>');
+  assert.deepEqual(blocks.map((block) => block.direction), ["RIGHT_TO_LEFT", "RIGHT_TO_LEFT", "LEFT_TO_RIGHT"]);
+
+  const [inherited] = parseHtmlToDocBlocks('<body dir="rtl"><p>Hello</p></body>');
+  assert.equal(inherited.direction, "RIGHT_TO_LEFT");
+
+  const fromHtml = parseHtmlToDocBlocks('<html dir="rtl"><body><p>Hello</p><div dir="ltr"><p>Hi</p></div></body></html>');
+  assert.deepEqual(fromHtml.map((block) => block.direction), ["RIGHT_TO_LEFT", "LEFT_TO_RIGHT"]);
+});
+
+test("neutral paragraphs follow the document's dominant direction", () => {
+  const blocks = parseHtmlToDocBlocks("<p>مرحبا بكم في الصف</p><p>123</p>");
+  assert.equal(blocks[1].direction, "RIGHT_TO_LEFT");
+});
+
+test("CSS left and right become START and END relative to the paragraph direction", () => {
+  const { requests } = buildDocRequestsFromHtml('<p style="text-align:right">שלום</p><p style="text-align:right">Hi</p>', 1);
+  const styles = requestsOf(requests, "updateParagraphStyle").map((style) => style.paragraphStyle);
+
+  assert.deepEqual(styles.map(({ direction, alignment }) => [direction, alignment]), [
+    ["RIGHT_TO_LEFT", "START"],
+    ["LEFT_TO_RIGHT", "END"],
+  ]);
+});
+
+test("existing document paragraphs get a detected direction, table cells included", () => {
+  const paragraph = (text, startIndex) => ({
+    startIndex,
+    endIndex: startIndex + text.length,
+    paragraph: { elements: [{ textRun: { content: text } }] },
+  });
+  const content = [
+    paragraph("Hello\n", 1),
+    paragraph("123\n", 7),
+    { table: { tableRows: [{ tableCells: [{ content: [paragraph("שלום\n", 12)] }] }] } },
+  ];
+
+  const requests = buildDirectionRequestsForContent(content, "RIGHT_TO_LEFT");
+  assert.deepEqual(requests.map(({ updateParagraphStyle }) => updateParagraphStyle.paragraphStyle.direction), [
+    "LEFT_TO_RIGHT",
+    "RIGHT_TO_LEFT",
+    "RIGHT_TO_LEFT",
+  ]);
+  assert.deepEqual(requests[2].updateParagraphStyle.range, { startIndex: 12, endIndex: 17 });
+});
+
+test("converted paragraphs take direction and alignment from the matching source paragraph", () => {
+  const paragraph = (text, startIndex) => ({
+    startIndex,
+    endIndex: startIndex + text.length,
+    paragraph: { elements: [{ textRun: { content: text } }] },
+  });
+  const sources = flattenDocParagraphBlocks(parseHtmlToDocBlocks(`
+    <p dir="ltr">שלום</p>
+    <table><tr><td style="text-align:center">Cell  text</td></tr></table>
+  `));
+  const content = [
+    paragraph("שלום\n", 1),
+    { table: { tableRows: [{ tableCells: [{ content: [paragraph("Cell text\n", 8)] }] }] } },
+    paragraph("Added by the converter\n", 20),
+  ];
+
+  const styles = buildDirectionRequestsForContent(content, "RIGHT_TO_LEFT", { sources })
+    .map(({ updateParagraphStyle }) => [updateParagraphStyle.paragraphStyle, updateParagraphStyle.fields]);
+  assert.deepEqual(styles, [
+    [{ direction: "LEFT_TO_RIGHT", alignment: "START" }, "direction,alignment"],
+    [{ direction: "LEFT_TO_RIGHT", alignment: "CENTER" }, "direction,alignment"],
+    [{ direction: "LEFT_TO_RIGHT" }, "direction"],
+  ]);
+});
+
+// Just enough of the Docs client for resolveDocInsertion: a body made of paragraphs
+function fakeDocs(paragraphs) {
+  let index = 1;
+  const content = [{ endIndex: 1, sectionBreak: {} }];
+  paragraphs.forEach(({ text, style = "NORMAL_TEXT" }) => {
+    content.push({
+      startIndex: index,
+      endIndex: index + text.length,
+      paragraph: { elements: [{ textRun: { content: text } }], paragraphStyle: { namedStyleType: style } },
+    });
+    index += text.length;
+  });
+  return { documents: { get: async () => ({ data: { body: { content } } }) } };
+}
+
+// What every mode does to the paragraph it hands over, so it does not stay in a list
+const zeroIndent = { magnitude: 0, unit: "PT" };
+const plainParagraphAt = (index) => {
+  const range = { startIndex: index, endIndex: index + 1 };
+  return [
+    { deleteParagraphBullets: { range } },
+    {
+      updateParagraphStyle: {
+        range,
+        paragraphStyle: { indentStart: zeroIndent, indentFirstLine: zeroIndent },
+        fields: "indentStart,indentFirstLine",
+      },
+    },
+  ];
+};
+
+test("append opens a paragraph after the last one, or reuses it when empty", async () => {
+  const opened = await resolveDocInsertion(fakeDocs([{ text: "Intro\n" }]), "doc", "append");
+  assert.deepEqual(opened, {
+    index: 7,
+    setupRequests: [{ insertText: { location: { index: 6 }, text: "\n" } }, ...plainParagraphAt(7)],
+  });
+
+  const reused = await resolveDocInsertion(fakeDocs([{ text: "Intro\n" }, { text: "\n" }]), "doc", "append");
+  assert.deepEqual(reused, { index: 7, setupRequests: plainParagraphAt(7) });
+});
+
+test("replace clears everything but the body's final newline", async () => {
+  const { index, setupRequests } = await resolveDocInsertion(fakeDocs([{ text: "One\n" }, { text: "Two\n" }]), "doc", "replace");
+  assert.equal(index, 1);
+  assert.deepEqual(setupRequests, [
+    { deleteContentRange: { range: { startIndex: 1, endIndex: 8 } } },
+    ...plainParagraphAt(1),
+  ]);
+
+  const empty = await resolveDocInsertion(fakeDocs([{ text: "\n" }]), "doc", "replace");
+  assert.deepEqual(empty.setupRequests, plainParagraphAt(1));
+});
+
+test("after_heading splits a body paragraph off the matching heading", async () => {
+  const docs = fakeDocs([
+    { text: "Unit  One\n", style: "HEADING_1" },
+    { text: "Body\n" },
+    { text: "Unit Two\n", style: "HEADING_2" },
+  ]);
+
+  const { index, setupRequests } = await resolveDocInsertion(docs, "doc", "after_heading", "unit one");
+  assert.equal(index, 11);
+  assert.deepEqual(setupRequests[0], { insertText: { location: { index: 10 }, text: "\n" } });
+  assert.deepEqual(setupRequests[1], plainParagraphAt(11)[0]);
+  assert.deepEqual(setupRequests[2].updateParagraphStyle.paragraphStyle, {
+    namedStyleType: "NORMAL_TEXT",
+    indentStart: zeroIndent,
+    indentFirstLine: zeroIndent,
+  });
+
+  assert.equal(await resolveDocInsertion(docs, "doc", "after_heading", "Body"), null);
+});
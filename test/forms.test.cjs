@@ -0,0 +1,159 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  buildFormItem,
+  formQuizOptions,
+  buildFormItems,
+  formQuestionColumns,
+  formResponseHeader,
+  formResponseRow,
+} = require("../index.cjs");
+
+const questionOf = (q, quiz) => buildFormItem(q, quiz).questionItem.question;
+
+test("choice questions keep their options, Other and shuffle", () => {
+  assert.deepEqual(questionOf({ question: "Pick", type: "MCQ", options: ["a", 2], other: true, shuffle: true }), {
+    required: true,
+    choiceQuestion: { type: "RADIO", options: [{ value: "a" }, { value: "2" }, { isOther: true }], shuffle: true },
+  });
+  assert.deepEqual(questionOf({ question: "Pick", type: "dropdown", options: ["a"], other: true }).choiceQuestion, {
+    type: "DROP_DOWN",
+    options: [{ value: "a" }],
+  });
+  assert.equal(questionOf({ question: "Pick", type: "Checkboxes", options: ["a"] }).choiceQuestion.type, "CHECKBOX");
+});
+
+test("text, scale, date and time questions get their own bodies", () => {
+  assert.deepEqual(questionOf({ question: "Why?", type: "long_answer", required: false }), {
+    required: false,
+    textQuestion: { paragraph: true },
+  });
+  assert.deepEqual(questionOf({ question: "Name", type: "whatever" }).textQuestion, { paragraph: false });
+  assert.deepEqual(questionOf({ question: "Rate", type: "scale", high: 10, highLabel: "Great" }).scaleQuestion, {
+    low: 1,
+    high: 10,
+    highLabel: "Great",
+  });
+  assert.deepEqual(questionOf({ question: "When", type: "datetime" }).dateQuestion, { includeTime: true, includeYear: true });
+  assert.deepEqual(questionOf({ question: "How long", type: "duration" }).timeQuestion, { duration: true });
+});
+
+test("grids become question groups with one question per row", () => {
+  const item = buildFormItem({ question: "Weekly", type: "checkbox_grid", rows: ["Mon", "Tue"], columns: ["AM", "PM"] });
+  assert.equal(item.questionItem, undefined);
+  assert.deepEqual(item.questionGroupItem, {
+    questions: [
+      { required: true, rowQuestion: { title: "Mon" } },
+      { required: true, rowQuestion: { title: "Tue" } },
+    ],
+    grid: { columns: { type: "CHECKBOX", options: [{ value: "AM" }, { value: "PM" }] } },
+  });
+});
+
+test("formQuizOptions fills in the quiz defaults", () => {
+  assert.equal(formQuizOptions(undefined), null);
+  assert.deepEqual(formQuizOptions(true), { defaultPoints: 1, releaseGrades: "immediately" });
+  assert.deepEqual(formQuizOptions({ defaultPoints: 2 }), { defaultPoints: 2, releaseGrades: "immediately" });
+});
+
+test("quiz questions carry points, answer keys and feedback", () => {
+  const quiz = formQuizOptions({ defaultPoints: 2 });
+
+  assert.deepEqual(
+    questionOf({ question: "2+2", type: "mcq", options: ["3", "4"], answer: 4, correctFeedback: "Yes", incorrectFeedback: "No" }, quiz).grading,
+    {
+      pointValue: 2,
+      correctAnswers: { answers: [{ value: "4" }] },
+      whenRight: { text: "Yes" },
+      whenWrong: { text: "No" },
+    }
+  );
+  assert.deepEqual(questionOf({ question: "Explain", type: "paragraph", points: 5, feedback: "See p. 4" }, quiz).grading, {
+    pointValue: 5,
+    generalFeedback: { text: "See p. 4" },
+  });
+  assert.equal(questionOf({ question: "Rate", type: "scale" }, quiz).grading, undefined);
+  assert.equal(questionOf({ question: "2+2", type: "mcq", options: ["4"], answer: "4" }).grading, undefined);
+});
+
+test("sections become page breaks that choice options can jump to", () => {
+  const items = buildFormItems([
+    {
+      title: "About you",
+      questions: [
+        {
+          question: "Have you used the lab?",
+          type: "mcq",
+          options: [{ value: "Yes", goTo: "Lab" }, { value: "No", goTo: "submit" }, "Unsure"],
+        },
+      ],
+    },
+    { id: "lab", title: "Lab", description: "Only for lab users", questions: [{ question: "Which room?" }] },
+  ]);
+
+  assert.deepEqual(items.map((item) => Object.keys(item).find((key) => key.endsWith("Item"))), [
+    "textItem",
+    "questionItem",
+    "pageBreakItem",
+    "questionItem",
+  ]);
+  assert.deepEqual(items[0], { title: "About you", description: "", textItem: {} });
+  assert.equal(items[2].description, "Only for lab users");
+
+  const options = items[1].questionItem.question.choiceQuestion.options;
+  assert.deepEqual(options, [
+    { value: "Yes", goToSectionId: items[2].itemId },
+    { value: "No", goToAction: "SUBMIT_FORM" },
+    { value: "Unsure" },
+  ]);
+});
+
+test("checkbox options ignore goTo and unknown sections are rejected", () => {
+  const [item] = buildFormItems([{ questions: [{ question: "Pick", type: "checkbox", options: [{ value: "a", goTo: "next" }] }] }]);
+  assert.deepEqual(item.questionItem.question.choiceQuestion.options, [{ value: "a" }]);
+
+  assert.throws(
+    () => buildFormItems([{ questions: [{ question: "Pick", type: "mcq", options: [{ value: "a", goTo: "Nowhere" }] }] }]),
+    /Unknown section 'Nowhere'/
+  );
+});
+
+const quizForm = {
+  items: [
+    { title: "Intro", textItem: {} },
+    { title: "Capital of France", questionItem: { question: { questionId: "q1", grading: { pointValue: 1 } } } },
+    { title: "Upload", questionItem: { question: { questionId: "q2" } } },
+    {
+      title: "Mood",
+      questionGroupItem: { questions: [{ questionId: "g1", rowQuestion: { title: "Mon" } }, { questionId: "g2", rowQuestion: { title: "Tue" } }] },
+    },
+  ],
+};
+
+test("form responses become one row per response with a column per question", () => {
+  const columns = formQuestionColumns(quizForm);
+  assert.deepEqual(columns.map((column) => column.title), ["Capital of France", "Upload", "Mood [Mon]", "Mood [Tue]"]);
+  assert.deepEqual(formResponseHeader(columns, false), [
+    "Response ID", "Submitted at", "Respondent email", "Capital of France", "Upload", "Mood [Mon]", "Mood [Tue]",
+  ]);
+
+  const response = {
+    responseId: "r1",
+    lastSubmittedTime: "2025-03-05T10:00:00Z",
+    answers: {
+      q1: { textAnswers: { answers: [{ value: "Paris" }] }, grade: { score: 1 } },
+      q2: { fileUploadAnswers: { answers: [{ fileName: "a.pdf" }, { fileName: "b.pdf" }] } },
+      g1: { textAnswers: { answers: [{ value: "Happy" }, { value: "Tired" }] } },
+    },
+    totalScore: 1,
+  };
+  assert.deepEqual(formResponseRow(response, columns, false), [
+    "r1", "2025-03-05T10:00:00Z", "", "Paris", "a.pdf, b.pdf", "Happy, Tired", "",
+  ]);
+});
+
+test("quiz exports add a score per graded question and the total", () => {
+  const columns = formQuestionColumns(quizForm);
+  assert.deepEqual(formResponseHeader(columns, true).slice(-2), ["Score: Capital of France", "Total score"]);
+  assert.deepEqual(formResponseRow({ responseId: "r2", answers: {} }, columns, true).slice(-2), [0, 0]);
+});
@@ -0,0 +1,120 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { google } = require("googleapis");
+
+process.env.IMAGE_STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "image-store-"));
+process.env.PUBLIC_BASE_URL = "https://example.test/";
+const {
+  app,
+  parseDataUri,
+  hostImage,
+  hostSlideImages,
+  hostHtmlImages,
+  releaseHostedImages,
+} = require("../index.cjs");
+
+after(() => fs.rmSync(process.env.IMAGE_STORE_DIR, { recursive: true, force: true }));
+
+const PIXEL = "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==";
+
+test("parseDataUri decodes base64 and percent-encoded data URIs", () => {
+  const png = parseDataUri(PIXEL);
+  assert.equal(png.mimeType, "image/png");
+  assert.equal(png.buffer.subarray(1, 4).toString(), "PNG");
+
+  const svg = parseDataUri("data:image/svg+xml,%3Csvg%2F%3E");
+  assert.deepEqual(svg, { mimeType: "image/svg+xml", buffer: Buffer.from("<svg/>") });
+  assert.equal(parseDataUri("https://example.test/a.png"), null);
+});
+
+test("the local host stores images by content and serves them from /images", async () => {
+  const url = await hostImage(parseDataUri(PIXEL), { host: "local" });
+  assert.match(url, /^https:\/\/example\.test\/images\/[0-9a-f]{32}\.png$/);
+  assert.ok(fs.existsSync(path.join(process.env.IMAGE_STORE_DIR, path.basename(url))));
+  assert.equal(await hostImage(parseDataUri(PIXEL), { host: "local" }), url);
+});
+
+test("hostSlideImages keeps http images, hosts data URIs and drops the rest", async () => {
+  const [slide] = await hostSlideImages(
+    [{ title: "A", images: [{ src: "https://example.test/x.png" }, { src: PIXEL }, { src: "file:///etc/passwd" }] }],
+    { host: "local" }
+  );
+  assert.equal(slide.images.length, 2);
+  assert.equal(slide.images[0].url, "https://example.test/x.png");
+  assert.match(slide.images[1].url, /\/images\/[0-9a-f]{32}\.png$/);
+});
+
+test("hostHtmlImages swaps data-URI img srcs for hosted URLs", async () => {
+  const html = await hostHtmlImages(`<p>Leaf</p><img src="${PIXEL}" alt="leaf"><img src="https://example.test/x.png">`, { host: "local" });
+  assert.match(html, /<img src="https:\/\/example\.test\/images\/[0-9a-f]{32}\.png" alt="leaf">/);
+  assert.match(html, /<img src="https:\/\/example\.test\/x\.png">/);
+
+  const plain = "<p>No images</p>";
+  assert.equal(await hostHtmlImages(plain, { host: "local" }), plain);
+});
+
+test("releaseHostedImages deletes every upload and only logs failures", async (t) => {
+  const deleted = [];
+  t.mock.method(google, "drive", () => ({
+    files: {
+      delete: async ({ fileId }) => {
+        deleted.push(fileId);
+        if (fileId === "gone") throw new Error("File not found");
+      },
+    },
+  }));
+  t.mock.method(console, "error", () => {});
+
+  await releaseHostedImages({ auth: null, uploads: ["a", "gone", "b"] });
+  assert.deepEqual(deleted, ["a", "gone", "b"]);
+  assert.equal(console.error.mock.calls.length, 1);
+});
+
+async function postSlidesDeck(body) {
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/create-slides-deck`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  } finally {
+    server.close();
+  }
+}
+
+test("Drive copies of slide images are deleted even when the deck fails", async (t) => {
+  const calls = [];
+  t.mock.method(google, "drive", () => ({
+    files: {
+      create: async () => {
+        calls.push("upload");
+        return { data: { id: "file-1" } };
+      },
+      delete: async ({ fileId }) => calls.push(`delete ${fileId}`),
+    },
+    permissions: { create: async () => calls.push("share") },
+  }));
+  t.mock.method(google, "slides", () => ({
+    presentations: {
+      create: async () => {
+        calls.push("create deck");
+        throw new Error("Slides is down");
+      },
+    },
+  }));
+  t.mock.method(console, "error", () => {});
+
+  const deck = { slides: [{ type: "image_caption", title: "Leaf", image: { src: PIXEL } }] };
+  const failed = await postSlidesDeck({ access_token: "token", deck });
+  assert.equal(failed.status, 500);
+  assert.deepEqual(calls, ["upload", "share", "create deck", "delete file-1"]);
+
+  const invalid = await postSlidesDeck({ access_token: "token", deck, keep_hosted_images: "yes" });
+  assert.equal(invalid.status, 400);
+});
@@ -0,0 +1,102 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { validateJsonSchema, readFormPayload } = require("../index.cjs");
+
+const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString("base64");
+
+test("validateJsonSchema reports path-style errors", () => {
+  const schema = {
+    type: "object",
+    required: ["name", "items"],
+    properties: {
+      name: { type: "string", minLength: 1 },
+      items: { type: "array", minItems: 1, items: { type: "integer", minimum: 0 } },
+    },
+    additionalProperties: false,
+  };
+
+  assert.deepEqual(validateJsonSchema({ name: "a", items: [1, 2] }, schema), []);
+  assert.deepEqual(validateJsonSchema({ items: [1] }, schema), ["name is required"]);
+  assert.match(validateJsonSchema({ name: "a", items: [1, -1] }, schema)[0], /^items\[1\]/);
+  assert.match(validateJsonSchema({ name: "a", items: [1], extra: true }, schema)[0], /extra is not allowed/);
+});
+
+test("validateJsonSchema reports only the anyOf branch picked by a const property", () => {
+  const schema = {
+    definitions: {
+      circle: { type: "object", required: ["kind", "r"], properties: { kind: { const: "circle" }, r: { type: "number" } } },
+      square: { type: "object", required: ["kind", "side"], properties: { kind: { const: "square" }, side: { type: "number" } } },
+    },
+    type: "array",
+    items: { anyOf: [{ $ref: "#/definitions/circle" }, { $ref: "#/definitions/square" }] },
+  };
+
+  assert.deepEqual(validateJsonSchema([{ kind: "circle", r: 1 }], schema), []);
+  assert.deepEqual(validateJsonSchema([{ kind: "square" }], schema), ["[0].side is required"]);
+  assert.deepEqual(validateJsonSchema([{ kind: "blob" }], schema), ["[0].kind must be one of: circle, square"]);
+});
+
+test("validateJsonSchema resolves $ref and if/then", () => {
+  const schema = {
+    definitions: { positive: { type: "number", minimum: 1 } },
+    type: "object",
+    properties: { count: { $ref: "#/definitions/positive" } },
+    if: { required: ["kind"], properties: { kind: { const: "list" } } },
+    then: { required: ["count"] },
+  };
+
+  assert.deepEqual(validateJsonSchema({ count: 2 }, schema), []);
+  assert.equal(validateJsonSchema({ count: 0 }, schema).length, 1);
+  assert.deepEqual(validateJsonSchema({ kind: "list" }, schema), ["count is required"]);
+});
+
+test("readFormPayload reports every schema error with its field path", () => {
+  const untitled = readFormPayload(encode({ data: [{ questions: [{ type: "mcq", description: 1 }] }] }));
+  assert.equal(untitled.error, "Invalid form payload: data[0].questions[0].question is required");
+  assert.equal(untitled.details.length, 2);
+
+  const grid = readFormPayload(encode({ data: [{ questions: [{ question: "Rate", type: "grid" }] }] }));
+  assert.equal(grid.details.length, 2);
+
+  assert.equal(readFormPayload("not json").error, "'base64Json' is not base64-encoded JSON");
+  assert.ok(readFormPayload(encode({ data: [{ questions: [{ question: "Pick", type: "mcq", options: ["a"] }] }] })).payload);
+});
+
+test("readFormPayload rejects goTo targets that name no section", () => {
+  const result = readFormPayload(encode({
+    data: [{ questions: [{ question: "Next?", type: "mcq", options: [{ value: "Yes", goTo: "Nowhere" }] }] }],
+  }));
+  assert.match(result.error, /'Nowhere' is not a section id or title/);
+});
+
+test("readFormPayload applies type rules case-insensitively", () => {
+  const checkbox = readFormPayload(encode({ data: [{ questions: [{ question: "Pick", type: "Checkbox" }] }] }));
+  assert.match(checkbox.error, /options is required/);
+
+  const grid = readFormPayload(encode({ data: [{ questions: [{ question: "Rate", type: "Grid" }] }] }));
+  assert.equal(grid.details.length, 2);
+
+  const valid = readFormPayload(encode({ data: [{ questions: [{ question: "Pick", type: "MCQ", options: ["a", "b"] }] }] }));
+  assert.ok(valid.payload);
+});
+
+test("readFormPayload rejects an empty answer key in quiz mode only", () => {
+  const payload = encode({ data: [{ questions: [{ question: "Name", type: "short", answers: [] }] }] });
+  assert.match(readFormPayload(payload, { defaultPoints: 1 }).error, /must list at least one answer/);
+  assert.ok(readFormPayload(payload).payload);
+});
+
+test("readFormPayload rejects quiz answers that are not among the options", () => {
+  const question = (fields) => encode({ data: [{ questions: [{ question: "Pick", type: "mcq", options: ["a", { value: "b" }], ...fields }] }] });
+  const quiz = { defaultPoints: 1 };
+
+  assert.equal(
+    readFormPayload(question({ answer: "c" }), quiz).error,
+    "Invalid form payload: data[0].questions[0].answer 'c' is not one of the question's options"
+  );
+  assert.deepEqual(readFormPayload(question({ answers: ["b", "d"] }), quiz).details, [
+    "data[0].questions[0].answers[1] 'd' is not one of the question's options",
+  ]);
+  assert.ok(readFormPayload(question({ answers: ["a", "b"] }), quiz).payload);
+  assert.ok(readFormPayload(question({ answer: "c" })).payload);
+});
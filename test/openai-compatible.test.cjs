@@ -0,0 +1,96 @@
+// The openai-compatible provider against a stand-in server that only speaks chat completions
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "openai-compatible-"));
+process.env.USAGE_LEDGER_FILE = path.join(tmp, "ledger.jsonl");
+
+const { app } = require("../index.cjs");
+
+const received = [];
+const usage = { prompt_tokens: 4, completion_tokens: 2, total_tokens: 6 };
+
+// Answers "Hello there" to any chat completion, as JSON or as an event stream
+const upstream = http.createServer((req, res) => {
+  let raw = "";
+  req.on("data", (chunk) => (raw += chunk));
+  req.on("end", () => {
+    const body = JSON.parse(raw);
+    received.push({ url: req.url, body, authorization: req.headers.authorization });
+    if (!body.stream) {
+      res.setHeader("content-type", "application/json");
+      res.end(JSON.stringify({ choices: [{ message: { role: "assistant", content: "Hello there" } }], usage }));
+      return;
+    }
+    res.setHeader("content-type", "text/event-stream");
+    ["Hello", " there"].forEach((content) => res.write(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`));
+    res.write(`data: ${JSON.stringify({ choices: [], usage })}\n\n`);
+    res.end("data: [DONE]\n\n");
+  });
+});
+
+let server;
+let baseUrl;
+
+before(async () => {
+  upstream.listen(0);
+  server = app.listen(0);
+  await Promise.all([upstream, server].map((s) => new Promise((resolve) => s.once("listening", resolve))));
+  process.env.LLM_BASE_URL = `http://127.0.0.1:${upstream.address().port}/v1`;
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  upstream.close();
+  delete process.env.LLM_BASE_URL;
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+async function post(body) {
+  const response = await fetch(`${baseUrl}/open-ai-request`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ prompt: Buffer.from("Say hi").toString("base64"), model: "llama3", provider: "openai-compatible", ...body }),
+  });
+  return { status: response.status, text: await response.text() };
+}
+
+test("requests are sent as chat completions and answered Responses-style", async () => {
+  const response = await post({});
+  assert.equal(response.status, 200);
+
+  const body = JSON.parse(response.text);
+  assert.equal(body.response, "Hello there");
+  assert.deepEqual(body.usage, { input_tokens: 4, output_tokens: 2, total_tokens: 6 });
+  assert.equal(received.at(-1).url, "/v1/chat/completions");
+  assert.deepEqual(received.at(-1).body.messages, [{ role: "user", content: "Say hi" }]);
+});
+
+test("streamed chat chunks become delta events with the final usage", async () => {
+  const response = await post({ stream: true });
+  const events = response.text.trim().split("\n\n").map((chunk) => chunk.split("\n")[0].slice("event: ".length));
+  assert.deepEqual(events, ["delta", "delta", "done"]);
+  assert.match(response.text, /"response":"Hello there"/);
+  assert.match(response.text, /"usage":\{"input_tokens":4,"output_tokens":2,"total_tokens":6\}/);
+  assert.deepEqual(received.at(-1).body.stream_options, { include_usage: true });
+});
+
+test("the server's OpenAI key is never sent, only LLM_API_KEY", async (t) => {
+  t.after(() => {
+    delete process.env.OPENAI_API_KEY;
+    delete process.env.LLM_API_KEY;
+  });
+  process.env.OPENAI_API_KEY = "sk-openai-secret";
+
+  await post({});
+  assert.notEqual(received.at(-1).authorization, "Bearer sk-openai-secret");
+
+  process.env.LLM_API_KEY = "local-key";
+  await post({});
+  assert.equal(received.at(-1).authorization, "Bearer local-key");
+});
@@ -0,0 +1,204 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  extractTablesFromHtml,
+  uniqueSheetTitles,
+  buildSheetStyleRequests,
+  layoutTableGrid,
+  buildSheetCellRequests,
+  parseTypedValue,
+  buildTypedSheetRequests,
+  parseA1Range,
+  sheetOptionsError,
+  buildSheetPresentationRequests,
+  sheetReferenceError,
+} = require("../index.cjs");
+
+test("extractTablesFromHtml names each table by its caption or the heading before it", () => {
+  const tables = extractTablesFromHtml(`
+    <h2>Week  1</h2>
+    <table><tr><th>Day</th></tr><tr><td>Mon</td></tr></table>
+    <table><caption>Extras</caption><tr><td>x<table><tr><td>nested</td></tr></table></td></tr></table>
+    <table><tr><td>untitled</td></tr></table>
+  `);
+
+  assert.deepEqual(tables.map((table) => table.title), ["Week 1", "Extras", ""]);
+  assert.deepEqual(tables[0].values, [["Day"], ["Mon"]]);
+});
+
+test("uniqueSheetTitles fills blanks and numbers repeats case-insensitively", () => {
+  assert.deepEqual(
+    uniqueSheetTitles(["Scores", "", "scores", "Scores"]),
+    ["Scores", "Sheet2", "scores (2)", "Scores (3)"]
+  );
+  assert.equal(uniqueSheetTitles(["x".repeat(120)])[0].length, 90);
+});
+
+test("buildSheetStyleRequests targets the given tab", () => {
+  const requests = buildSheetStyleRequests(3, 4);
+  assert.equal(requests.length, 4);
+  assert.ok(requests.every((request) => request.repeatCell.range.sheetId === 3));
+  assert.deepEqual(requests.map((request) => request.repeatCell.range.startRowIndex), [0, 1, 2, 3]);
+});
+
+// Spans as the DOM reports them: colSpan and rowSpan default to 1
+const cell = (spans = {}) => ({ colSpan: 1, rowSpan: 1, ...spans });
+
+test("layoutTableGrid places cells around row and column spans", () => {
+  const { rowCount, columnCount, cells } = layoutTableGrid([
+    [cell({ rowSpan: 2 }), cell({ colSpan: 2 })],
+    [cell(), cell()],
+  ]);
+
+  assert.equal(rowCount, 2);
+  assert.equal(columnCount, 3);
+  assert.deepEqual(
+    cells.map(({ row, column, rowSpan, colSpan }) => [row, column, rowSpan, colSpan]),
+    [[0, 0, 2, 1], [0, 1, 1, 2], [1, 1, 1, 1], [1, 2, 1, 1]]
+  );
+});
+
+test("layoutTableGrid treats rowspan 0 as the rest of the table", () => {
+  const { cells } = layoutTableGrid([[cell({ rowSpan: 0 }), cell()], [cell()], [cell()]]);
+  assert.equal(cells[0].rowSpan, 3);
+  assert.deepEqual(cells.slice(2).map((cell) => cell.column), [1, 1]);
+});
+
+test("buildSheetCellRequests merges spans and carries inline formats", () => {
+  const [table] = extractTablesFromHtml(`<table>
+    <tr><th colspan="2" style="background-color:#ff0000;text-align:center">Head</th></tr>
+    <tr><td>plain</td><td><b>bold</b> and not</td></tr>
+  </table>`);
+  const requests = buildSheetCellRequests(5, table);
+
+  assert.deepEqual(requests[0], {
+    mergeCells: {
+      range: { sheetId: 5, startRowIndex: 0, endRowIndex: 1, startColumnIndex: 0, endColumnIndex: 2 },
+      mergeType: "MERGE_ALL",
+    },
+  });
+  assert.deepEqual(requests[1].repeatCell.cell.userEnteredFormat, {
+    backgroundColor: { red: 1, green: 0, blue: 0 },
+    horizontalAlignment: "CENTER",
+    textFormat: { bold: true },
+  });
+  assert.equal(requests[1].repeatCell.fields, "userEnteredFormat(backgroundColor,horizontalAlignment,textFormat.bold)");
+
+  const runs = requests.find((request) => request.updateCells).updateCells;
+  assert.deepEqual(runs.start, { sheetId: 5, rowIndex: 1, columnIndex: 1 });
+  assert.deepEqual(runs.rows[0].values[0].textFormatRuns.map((run) => run.startIndex), [0, 4]);
+  assert.equal(runs.rows[0].values[0].textFormatRuns[0].format.bold, true);
+});
+
+test("parseTypedValue detects numbers, percentages, currency and dates", () => {
+  assert.deepEqual(parseTypedValue("1,234.50"), { type: "number", value: 1234.5, decimals: 2 });
+  assert.deepEqual(parseTypedValue("12%"), { type: "percent", value: 0.12, decimals: 0 });
+  assert.deepEqual(parseTypedValue("$3.50"), { type: "currency", value: 3.5, decimals: 2, symbol: "$" });
+  assert.deepEqual(parseTypedValue("2025-03-05"), { type: "date", value: 45721 });
+  assert.deepEqual(parseTypedValue("5 March 2025"), { type: "date", value: 45721 });
+  assert.deepEqual(parseTypedValue("Mar 5, 2025"), { type: "date", value: 45721 });
+  assert.equal(parseTypedValue("hello"), null);
+});
+
+test("parseTypedValue follows the column's type hint", () => {
+  assert.equal(parseTypedValue("42", "text"), null);
+  assert.deepEqual(parseTypedValue("87", "percent"), { type: "percent", value: 0.87, decimals: 0 });
+});
+
+test("buildTypedSheetRequests types uniform columns and keeps formulas", () => {
+  const [table] = extractTablesFromHtml(`<table>
+    <tr><th>Name</th><th>Score</th><th>Total</th></tr>
+    <tr><td>Ana</td><td>12.5</td><td>=B2*2</td></tr>
+    <tr><td>Ben</td><td>8</td><td>=B3*2</td></tr>
+  </table>`);
+  const [values, ...formats] = buildTypedSheetRequests(0, table, { score: "number" });
+
+  const rows = values.updateCells.rows.map((row) => row.values.map((value) => value.userEnteredValue));
+  assert.deepEqual(rows[1], [{ stringValue: "Ana" }, { numberValue: 12.5 }, { formulaValue: "=B2*2" }]);
+  assert.equal(formats.length, 1);
+  assert.equal(formats[0].repeatCell.range.startColumnIndex, 1);
+  assert.deepEqual(formats[0].repeatCell.cell.userEnteredFormat.numberFormat, { type: "NUMBER", pattern: "#,##0.0" });
+});
+
+test("parseA1Range reads cells, columns, rows and quoted tab names", () => {
+  assert.deepEqual(parseA1Range("B2:C4"), {
+    sheetTitle: undefined,
+    range: { startColumnIndex: 1, endColumnIndex: 3, startRowIndex: 1, endRowIndex: 4 },
+  });
+  assert.deepEqual(parseA1Range("'Ann''s tab'!B:B"), {
+    sheetTitle: "Ann's tab",
+    range: { startColumnIndex: 1, endColumnIndex: 2 },
+  });
+  assert.deepEqual(parseA1Range("2:5").range, { startRowIndex: 1, endRowIndex: 5 });
+  assert.equal(parseA1Range("nope!"), null);
+});
+
+test("sheetOptionsError rejects unknown themes, bad ranges and conditions", () => {
+  assert.equal(sheetOptionsError({}), null);
+  assert.match(sheetOptionsError({ theme: "neon" }), /Unknown theme 'neon'/);
+  assert.match(sheetOptionsError({ protected_ranges: [{ range: "??" }] }), /protected_ranges\[0\]\.range/);
+  assert.match(sheetOptionsError({ conditional_formats: [{ condition: ">" }] }), /needs a 'column' or 'range'/);
+  assert.match(sheetOptionsError({ conditional_formats: [{ column: "A", condition: "roughly" }] }), /not supported/);
+});
+
+test("buildSheetPresentationRequests applies tab-prefixed ranges to their tab only", () => {
+  const [table] = extractTablesFromHtml(`<h2>Scores</h2><table>
+    <tr><th>Name</th><th>Score</th></tr>
+    <tr><td>Ana</td><td>12</td></tr>
+  </table>`);
+  const options = {
+    freeze_header: true,
+    protected_ranges: [{ range: "Scores!A1:B1" }, { range: "Other!A1" }],
+    conditional_formats: [{ column: "score", condition: "<", value: 50, background: "#ff0000" }],
+  };
+  const requests = buildSheetPresentationRequests(2, table, options);
+
+  assert.equal(requests[0].updateSheetProperties.properties.gridProperties.frozenRowCount, 1);
+  const protections = requests.filter((request) => request.addProtectedRange);
+  assert.equal(protections.length, 1);
+  assert.deepEqual(protections[0].addProtectedRange.protectedRange.range, {
+    sheetId: 2, startColumnIndex: 0, endColumnIndex: 2, startRowIndex: 0, endRowIndex: 1,
+  });
+
+  const { rule } = requests.find((request) => request.addConditionalFormatRule).addConditionalFormatRule;
+  assert.deepEqual(rule.ranges, [{ sheetId: 2, startRowIndex: 1, endRowIndex: 2, startColumnIndex: 1, endColumnIndex: 2 }]);
+  assert.deepEqual(rule.booleanRule.condition, { type: "NUMBER_LESS", values: [{ userEnteredValue: "50" }] });
+});
+
+test("parseTypedValue leaves labels and codes as text", () => {
+  assert.equal(parseTypedValue("Unit 2024"), null);
+  assert.equal(parseTypedValue("ABC-1234"), null);
+  assert.equal(parseTypedValue("31 Feb 2025"), null);
+  assert.equal(parseTypedValue("1850-01-01"), null);
+  assert.equal(parseTypedValue("007"), null);
+  assert.deepEqual(parseTypedValue("007", "number"), { type: "number", value: 7, decimals: 0 });
+  assert.deepEqual(parseTypedValue("0.5"), { type: "number", value: 0.5, decimals: 1 });
+});
+
+test("sheetOptionsError checks how many values each condition takes", () => {
+  const error = (rule) => sheetOptionsError({ conditional_formats: [{ column: "Score", ...rule }] });
+
+  assert.equal(error({ condition: ">", value: 50 }), null);
+  assert.equal(error({ condition: "between", value: 1, value2: 5 }), null);
+  assert.equal(error({ condition: "empty" }), null);
+  assert.match(error({ condition: "<" }), /takes a 'value'/);
+  assert.match(error({ condition: "between", value: 1 }), /both 'value' and 'value2'/);
+  assert.match(error({ condition: "not_empty", value: 1 }), /no 'value'/);
+});
+
+test("sheetReferenceError rejects ranges and columns no tab has", () => {
+  const tables = extractTablesFromHtml(`
+    <table><caption>Grades</caption><tr><th>Name</th><th>Score</th></tr><tr><td>Ana</td><td>9</td></tr></table>
+    <table><caption>Grades</caption><tr><th>Name</th></tr></table>
+  `);
+  const check = (options) => sheetReferenceError(tables, options);
+
+  assert.equal(check({}), null);
+  assert.equal(check({ protected_ranges: [{ range: "'Grades (2)'!A1" }], conditional_formats: [{ column: "score", condition: ">", value: 5 }] }), null);
+  assert.equal(check({ conditional_formats: [{ column: "B", condition: "empty" }] }), null);
+
+  assert.match(check({ protected_ranges: [{ range: "Marks!A1:B1" }] }), /^protected_ranges\[0\]\.range refers to tab 'Marks'.*Tabs: 'Grades', 'Grades \(2\)'$/);
+  assert.match(check({ conditional_formats: [{ range: "grades!B2:B", condition: "empty" }] }), /tab 'grades', which does not exist/);
+  assert.match(check({ conditional_formats: [{ column: "Total", condition: "empty" }] }), /column 'Total' matches no header or column in any tab/);
+  assert.match(check({ conditional_formats: [{ column: "C", condition: "empty" }] }), /column 'C' matches no header/);
+});
@@ -0,0 +1,293 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { google } = require("googleapis");
+const {
+  SLIDE_THEMES,
+  loadSlideThemes,
+  resolveSlideTheme,
+  extractSlidesFromHtml,
+  layoutSlideParagraphs,
+  fitSlidesToTheme,
+  buildSlideRequests,
+  extractSlidesFromHtml_SlideShow,
+  buildSpeakerNotesRequests,
+  slideParagraphsText,
+  normalizeSlideDeck,
+  readSlideDeck,
+  updatePresentationSlides,
+  slideDeckPlacement,
+} = require("../index.cjs");
+
+function themeDir(themes) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "slide-themes-"));
+  themes.forEach((theme) => fs.writeFileSync(path.join(dir, `${theme.name}.json`), JSON.stringify(theme)));
+  return dir;
+}
+
+test("a theme that extends another overrides only what it sets", () => {
+  const { chalkboard, helpmeteach } = SLIDE_THEMES;
+  assert.equal(chalkboard.extends, undefined);
+  assert.equal(chalkboard.logo, null);
+  assert.equal(chalkboard.title.fontFamily, "Patrick Hand");
+  assert.equal(chalkboard.title.x, helpmeteach.title.x);
+  assert.deepEqual(chalkboard.page, helpmeteach.page);
+});
+
+test("loadSlideThemes resolves chains and rejects unknown or circular parents", () => {
+  const themes = loadSlideThemes(themeDir([
+    { name: "base", title: { fontSize: 18, bold: true } },
+    { name: "middle", extends: "base", title: { fontSize: 20 } },
+    { name: "leaf", extends: "middle", title: { bold: false } },
+  ]));
+  assert.deepEqual(themes.leaf.title, { fontSize: 20, bold: false });
+
+  assert.throws(() => loadSlideThemes(themeDir([{ name: "orphan", extends: "missing" }])), /extends unknown theme 'missing'/);
+  assert.throws(
+    () => loadSlideThemes(themeDir([{ name: "a", extends: "b" }, { name: "b", extends: "a" }])),
+    /extends itself/
+  );
+});
+
+test("resolveSlideTheme takes a name or an inline theme over a named one", () => {
+  assert.equal(resolveSlideTheme(undefined, "helpmeteach"), SLIDE_THEMES.helpmeteach);
+  assert.equal(resolveSlideTheme("nope", "helpmeteach"), null);
+
+  const inline = resolveSlideTheme({ extends: "chalkboard", title: { color: "#ff0000" } }, "helpmeteach");
+  assert.equal(inline.title.color, "#ff0000");
+  assert.equal(inline.title.fontFamily, "Patrick Hand");
+  assert.equal(resolveSlideTheme({ extends: "nope" }, "helpmeteach"), null);
+});
+
+test("layoutSlideParagraphs joins paragraphs with nesting tabs, styles and list ranges", () => {
+  const [slide] = extractSlidesFromHtml(`
+    <p><strong>Intro</strong></p>
+    <h3>Goals</h3>
+    <p>Read <b>two</b> texts</p>
+    <ul><li>one<ul><li>deep</li></ul></li><li>two</li></ul>
+    <ol><li>first</li></ol>
+  `);
+  const { text, ranges, lists } = layoutSlideParagraphs(slide.paragraphs);
+
+  assert.equal(text, "Goals\nRead two texts\none\n\tdeep\ntwo\nfirst");
+  assert.deepEqual(ranges, [
+    { start: 0, end: 5, style: { bold: true } },
+    { start: 11, end: 14, style: { bold: true } },
+  ]);
+  assert.deepEqual(
+    lists.map(({ ordered, start, end }) => ({ ordered, start, end })),
+    [{ ordered: false, start: 21, end: 34 }, { ordered: true, start: 35, end: 40 }]
+  );
+});
+
+// helpmeteach's body box is 600x80 at 14pt and may shrink down to 10pt
+const sentence = "Lorem ipsum dolor sit amet consectetur adipiscing elit sed do eiusmod tempor incididunt ut labore et dolore magna aliqua. ";
+const slideWith = (count, text = sentence) => ({
+  title: "Notes",
+  paragraphs: Array.from({ length: count }, () => ({ runs: [{ text }] })),
+  images: [],
+  notes: "Speaker notes",
+});
+
+test("slides that fit are left alone", () => {
+  const slide = slideWith(1, "Short");
+  const { slides, splits } = fitSlidesToTheme([slide], SLIDE_THEMES.helpmeteach);
+  assert.deepEqual(slides, [slide]);
+  assert.deepEqual(splits, []);
+});
+
+test("overflowing text is shrunk when that is enough", () => {
+  const { slides, splits } = fitSlidesToTheme([slideWith(2)], SLIDE_THEMES.helpmeteach, "auto");
+  assert.equal(slides.length, 1);
+  assert.equal(slides[0].fontSize, 13);
+  assert.deepEqual(splits, []);
+});
+
+test("split continues the slide at paragraph boundaries", () => {
+  const { slides, splits } = fitSlidesToTheme([slideWith(3)], SLIDE_THEMES.helpmeteach, "split");
+  assert.deepEqual(slides.map((slide) => slide.title), ["Notes", "Notes (cont.)", "Notes (cont.)"]);
+  assert.ok(slides.every((slide) => slide.paragraphs.length === 1 && slide.fontSize === undefined));
+  assert.deepEqual(splits, [{ slide: 1, title: "Notes", parts: 3 }]);
+});
+
+test("shrink stops at the minimum size and none leaves the overflow", () => {
+  const [shrunk] = fitSlidesToTheme([slideWith(12)], SLIDE_THEMES.helpmeteach, "shrink").slides;
+  assert.equal(shrunk.fontSize, 10);
+  assert.equal(shrunk.paragraphs.length, 12);
+
+  const { slides } = fitSlidesToTheme([slideWith(12)], SLIDE_THEMES.helpmeteach, "none");
+  assert.equal(slides[0].fontSize, undefined);
+});
+
+test("slides with images get the narrower text box and share the image area", () => {
+  const slide = {
+    title: "Cells",
+    paragraphs: [{ runs: [{ text: "Body" }] }],
+    images: [{ url: "https://example.test/a.png", alt: "Diagram" }, { url: "https://example.test/b.png", alt: "" }],
+  };
+  const requests = buildSlideRequests([slide], SLIDE_THEMES.helpmeteach, { idPrefix: "gen_t_" });
+
+  const description = requests.find((request) => request.createShape?.objectId === "desc_gen_t_slide_1");
+  assert.equal(description.createShape.elementProperties.size.width.magnitude, 330);
+
+  const images = requests
+    .filter((request) => request.createImage?.objectId.startsWith("img_"))
+    .map((request) => request.createImage);
+  assert.deepEqual(images.map((image) => image.url), ["https://example.test/a.png", "https://example.test/b.png"]);
+  assert.deepEqual(images.map((image) => image.elementProperties.transform.translateY), [70, 195]);
+  assert.deepEqual(
+    requests.filter((request) => request.updatePageElementAltText),
+    [{ updatePageElementAltText: { objectId: "img_gen_t_slide_1_1", description: "Diagram" } }]
+  );
+});
+
+test("speaker notes are taken out of the slide body", () => {
+  const [slide] = extractSlidesFromHtml_SlideShow(`
+    <h2>Photosynthesis</h2>
+    <p>Plants make sugar.</p>
+    <p>Speaker notes: ask who has a plant at home</p>
+    <div><p>Light matters.</p><aside class="notes">Show the <b>leaf</b> diagram</aside></div>
+  `);
+
+  assert.equal(slideParagraphsText(slide.paragraphs), "Plants make sugar.\nLight matters.");
+  assert.equal(slide.notes, "ask who has a plant at home\nShow the leaf diagram");
+});
+
+test("buildSpeakerNotesRequests writes notes into each slide's notes shape", () => {
+  const created = [
+    { objectId: "gen_t_slide_1", slideProperties: { notesPage: { notesProperties: { speakerNotesObjectId: "n1" } } } },
+    { objectId: "gen_t_slide_2", slideProperties: { notesPage: { notesProperties: { speakerNotesObjectId: "n2" } } } },
+  ];
+  assert.deepEqual(buildSpeakerNotesRequests([{ notes: "" }, { notes: "Recap" }], created, "gen_t_"), [
+    { insertText: { objectId: "n2", text: "Recap", insertionIndex: 0 } },
+  ]);
+});
+
+test("normalizeSlideDeck turns deck items into slide paragraphs and lists", () => {
+  const [body, columns, table] = normalizeSlideDeck({
+    slides: [
+      {
+        type: "title_body",
+        title: "Plan",
+        body: ["Intro", { text: "one", bullet: "disc" }, { text: "<b>deep</b>", bullet: "disc", level: 1 }, { text: "step", bullet: "number" }],
+        notes: "Go slowly",
+      },
+      { type: "two_column", title: "Compare", left: ["Cats"], right: ["Dogs"] },
+      { type: "table", title: "Data", rows: [["a", "b"]], header: false },
+    ],
+  });
+
+  assert.equal(body.notes, "Go slowly");
+  assert.deepEqual(body.paragraphs.map((paragraph) => paragraph.list), [
+    null,
+    { id: "deck_list_1", ordered: false, nesting: 0 },
+    { id: "deck_list_1", ordered: false, nesting: 1 },
+    { id: "deck_list_2", ordered: true, nesting: 0 },
+  ]);
+  assert.deepEqual(body.paragraphs[2].runs, [{ text: "deep", style: { bold: true } }]);
+  assert.deepEqual(columns.columns.map(slideParagraphsText), ["Cats", "Dogs"]);
+  assert.deepEqual([table.rows, table.header], [[["a", "b"]], false]);
+});
+
+test("readSlideDeck validates the deck against its schema", () => {
+  const read = (deck) => readSlideDeck({ access_token: "token", deck });
+
+  assert.equal(read({ slides: [{ type: "section", title: "Part 1" }], title: "Deck" }).title, "Deck");
+  assert.equal(read({ slides: [{ type: "quote", title: "Q" }] }).error, "Invalid deck: slides[0].quote is required");
+  assert.match(read({ slides: [{ type: "poster", title: "P" }] }).error, /slides\[0\]\.type must be one of: title, section/);
+  assert.equal(readSlideDeck({ access_token: "token", deck_base64: "not json" }).error, "'deck_base64' is not base64-encoded JSON");
+});
+
+// Stands in for google.slides(): a deck with the given slide ids that records each batchUpdate
+function fakeSlidesApi(t, slideIds) {
+  const batches = [];
+  t.mock.method(google, "slides", () => ({
+    presentations: {
+      get: async () => ({ data: { slides: slideIds.map((objectId) => ({ objectId })) } }),
+      batchUpdate: async ({ requestBody }) => batches.push(requestBody.requests),
+    },
+  }));
+  return batches;
+}
+
+const twoSlides = [{ title: "One", paragraphs: [] }, { title: "Two", paragraphs: [] }];
+const insertionIndexes = (requests) => requests.filter((request) => request.createSlide).map((request) => request.createSlide.insertionIndex);
+
+test("replace_generated puts the new slides where the first generated one was", async (t) => {
+  const batches = fakeSlidesApi(t, ["intro", "gen_a1_slide_1", "gen_a1_slide_2", "outro"]);
+  const removed = await updatePresentationSlides(null, "deck", twoSlides, {
+    theme: SLIDE_THEMES.helpmeteach,
+    mode: "replace_generated",
+  });
+
+  assert.equal(removed, 2);
+  assert.deepEqual(batches[0].slice(0, 2), [
+    { deleteObject: { objectId: "gen_a1_slide_1" } },
+    { deleteObject: { objectId: "gen_a1_slide_2" } },
+  ]);
+  assert.deepEqual(insertionIndexes(batches[0]), [1, 2]);
+});
+
+test("insertion indexes are clamped to the slides that remain", async (t) => {
+  const batches = fakeSlidesApi(t, ["intro", "gen_a1_slide_1", "outro"]);
+  await updatePresentationSlides(null, "deck", twoSlides, {
+    theme: SLIDE_THEMES.helpmeteach,
+    mode: "replace_generated",
+    insertionIndex: 9,
+  });
+  assert.deepEqual(insertionIndexes(batches[0]), [2, 3]);
+
+  const appended = fakeSlidesApi(t, ["intro", "gen_a1_slide_1"]);
+  assert.equal(await updatePresentationSlides(null, "deck", twoSlides, { theme: SLIDE_THEMES.helpmeteach }), 0);
+  assert.deepEqual(insertionIndexes(appended[0]), [2, 3]);
+});
+
+const arabicSlide = { title: "مرحبا بكم", paragraphs: [{ runs: [{ text: "هذا درس عن النباتات" }] }] };
+
+test("a right-to-left deck is mirrored when the theme asks for it", () => {
+  const theme = SLIDE_THEMES.helpmeteach;
+  assert.deepEqual(slideDeckPlacement([arabicSlide], theme)({ x: 10, width: 40 }), { x: 670, width: 40, direction: "auto" });
+  assert.equal(slideDeckPlacement([arabicSlide], theme, { mirror: false })({ x: 10, width: 40 }).x, 10);
+  assert.equal(slideDeckPlacement([{ title: "Hello", paragraphs: [] }], theme)({ x: 10, width: 40 }).x, 10);
+  assert.deepEqual(
+    slideDeckPlacement([{ title: "Hello", paragraphs: [] }], theme, { direction: "rtl" })({ x: 10, width: 40 }),
+    { x: 670, width: 40, direction: "RIGHT_TO_LEFT" }
+  );
+});
+
+test("auto direction is detected per text box", () => {
+  const requests = buildSlideRequests([arabicSlide], SLIDE_THEMES.helpmeteach, { idPrefix: "gen_t_" });
+  const styles = Object.fromEntries(
+    requests
+      .filter((request) => request.updateParagraphStyle)
+      .map(({ updateParagraphStyle }) => [updateParagraphStyle.objectId, updateParagraphStyle.style.direction])
+  );
+
+  assert.deepEqual(styles, {
+    footer_gen_t_slide_1: "LEFT_TO_RIGHT",
+    title_gen_t_slide_1: "RIGHT_TO_LEFT",
+    desc_gen_t_slide_1: "RIGHT_TO_LEFT",
+  });
+});
+
+test("auto shrinks before it splits", () => {
+  const { slides, splits } = fitSlidesToTheme([slideWith(12)], SLIDE_THEMES.helpmeteach, "auto");
+  const split = fitSlidesToTheme([slideWith(12)], SLIDE_THEMES.helpmeteach, "split");
+
+  assert.equal(slides.length, 6);
+  assert.equal(split.slides.length, 12);
+  assert.deepEqual(splits, [{ slide: 1, title: "Notes", parts: 6 }]);
+  slides.forEach((slide) => assert.equal(slide.fontSize, 13));
+});
+
+test("continuation parts are fitted to the full-width box, not the image layout's", () => {
+  // The first part shares the slide with its image (330x250); the rest have the 600x80 box
+  const slide = { ...slideWith(8), images: [{ url: "https://example.test/cat.png" }] };
+  const { slides } = fitSlidesToTheme([slide], SLIDE_THEMES.helpmeteach, "split");
+
+  assert.deepEqual(slides.map((part) => part.paragraphs.length), [4, 1, 1, 1, 1]);
+  assert.deepEqual(slides.map((part) => part.images.length), [1, 0, 0, 0, 0]);
+  assert.ok(slides.every((part) => part.fontSize === undefined));
+});
@@ -0,0 +1,78 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { streamOpenAiResponse, streamServerSentEvents } = require("../index.cjs");
+
+// A Responses API client whose stream replays `events`
+function fakeClient(events) {
+  return {
+    responses: {
+      create: async (request) => {
+        assert.equal(request.stream, true);
+        return (async function* () {
+          yield* events;
+        })();
+      },
+    },
+  };
+}
+
+// Serves one streamServerSentEvents response and returns its parsed events
+async function collectEvents(produce) {
+  const app = express();
+  app.get("/", (req, res) => streamServerSentEvents(res, produce));
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/`);
+    assert.match(response.headers.get("content-type"), /^text\/event-stream/);
+    const text = await response.text();
+    return text.trim().split("\n\n").map((chunk) => {
+      const [event, data] = chunk.split("\n");
+      return { event: event.slice("event: ".length), data: JSON.parse(data.slice("data: ".length)) };
+    });
+  } finally {
+    server.close();
+  }
+}
+
+test("streamOpenAiResponse reports text deltas, images and usage", async () => {
+  const texts = [];
+  const images = [];
+  const result = await streamOpenAiResponse(
+    fakeClient([
+      { type: "response.output_text.delta", delta: "Hel" },
+      { type: "response.output_item.done", item: { type: "image_generation_call", result: "aW1n" } },
+      { type: "response.output_text.delta", delta: "lo" },
+      { type: "response.completed", response: { usage: { total_tokens: 5 } } },
+    ]),
+    { model: "gpt-5" },
+    { onText: (text) => texts.push(text), onImage: (image, index) => images.push([image, index]) }
+  );
+
+  assert.deepEqual(texts, ["Hel", "lo"]);
+  assert.deepEqual(images, [["aW1n", 0]]);
+  assert.deepEqual(result, { text: "Hello", images: ["aW1n"], usage: { total_tokens: 5 } });
+});
+
+test("streamOpenAiResponse fails on a failed response", async () => {
+  const client = fakeClient([{ type: "response.failed", response: { error: { message: "quota exceeded" } } }]);
+  await assert.rejects(streamOpenAiResponse(client, {}, {}), /quota exceeded/);
+});
+
+test("streamServerSentEvents ends with a done event, or an error event", async () => {
+  const events = await collectEvents(async (send) => {
+    send("delta", { text: "Hi" });
+    return { success: true, response: "Hi" };
+  });
+  assert.deepEqual(events, [
+    { event: "delta", data: { text: "Hi" } },
+    { event: "done", data: { success: true, response: "Hi" } },
+  ]);
+
+  const failed = await collectEvents(async () => {
+    throw new Error("upstream broke");
+  });
+  assert.deepEqual(failed, [{ event: "error", data: { success: false, error: "upstream broke" } }]);
+});
@@ -0,0 +1,129 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "usage-"));
+process.env.USAGE_LEDGER_FILE = path.join(tmp, "ledger.jsonl");
+const { usageCost, aggregateUsage, usageIdentity, streamWithUsage, generateTextAndImage, LLM_PROVIDERS } = require("../index.cjs");
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const ledger = () => fs.readFileSync(process.env.USAGE_LEDGER_FILE, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+
+const entry = (fields) => ({
+  at: "2025-03-05T10:00:00.000Z",
+  caller: "ana",
+  route: "/open-ai-request",
+  provider: "openai",
+  model: "gpt-5",
+  input_tokens: 0,
+  cached_tokens: 0,
+  output_tokens: 0,
+  images: 0,
+  ...fields,
+});
+
+test("usageCost prices tokens, cached tokens and images", () => {
+  // 1M input of which 200k cached, 100k output: 0.8 * 1.25 + 0.2 * 0.125 + 0.1 * 10
+  assert.equal(usageCost(entry({ input_tokens: 1000000, cached_tokens: 200000, output_tokens: 100000 })), 2.025);
+  // Dated snapshots use the base model's price, images the price of their quality
+  assert.equal(usageCost(entry({ model: "gpt-5-mini-2025-08-07", output_tokens: 1000000, images: 2, image_quality: "low" })), 2.022);
+  assert.equal(usageCost(entry({ model: "llama3", input_tokens: 10 })), null);
+});
+
+test("aggregateUsage sums entries per group and counts unpriced calls", () => {
+  const rows = aggregateUsage(
+    [
+      entry({ input_tokens: 10, cost: 0.5 }),
+      entry({ input_tokens: 5, images: 1, cost: 0.25 }),
+      entry({ caller: "ben", model: "llama3", output_tokens: 7, cost: null }),
+    ],
+    ["caller"]
+  );
+
+  assert.deepEqual(rows, [
+    { caller: "ana", calls: 2, input_tokens: 15, cached_tokens: 0, output_tokens: 0, images: 1, cost: 0.75, unpriced_calls: 0 },
+    { caller: "ben", calls: 1, input_tokens: 0, cached_tokens: 0, output_tokens: 7, images: 0, cost: 0, unpriced_calls: 1 },
+  ]);
+});
+
+// Just enough of an Express request for usageIdentity
+const request = (body, headers = {}) => ({ body, get: (name) => headers[name.toLowerCase()] });
+
+test("usageIdentity bills the caller's own key, or the server's", () => {
+  const key = Buffer.from("sk-test").toString("base64");
+  const own = usageIdentity(request({ hashkey: key, caller: "ms-lee" }), LLM_PROVIDERS.openai);
+  assert.match(own.account, /^key:[0-9a-f]{12}$/);
+  assert.equal(own.caller, "ms-lee");
+
+  // A key the provider ignores pays for nothing, so it cannot pick the account
+  assert.deepEqual(usageIdentity(request({ hashkey: key }), LLM_PROVIDERS.fake), { account: "server", caller: "server" });
+});
+
+test("streamWithUsage records a stream the client aborted with estimated usage", async () => {
+  const controller = new AbortController();
+  const client = {
+    responses: {
+      create: async () => (async function* () {
+        yield { type: "response.output_text.delta", delta: "Twelve chars" };
+        controller.abort();
+        yield { type: "response.output_text.delta", delta: " more" };
+      })(),
+    },
+  };
+  const request = { model: "gpt-5", input: "Sixteen chars!!!" };
+  const usageEntry = { account: "server", caller: "server", route: "/open-ai-request", provider: "openai", model: "gpt-5" };
+
+  await assert.rejects(
+    streamWithUsage(client, request, { signal: controller.signal }, usageEntry),
+    (error) => error.partial?.text === "Twelve chars more"
+  );
+  const [entry] = ledger();
+  assert.equal(entry.estimated, true);
+  assert.equal(entry.input_tokens, 4);
+  assert.equal(entry.output_tokens, 5);
+  assert.ok(entry.cost > 0);
+});
+
+test("streamWithUsage records a stream that fails part way, images included", async () => {
+  const client = {
+    responses: {
+      create: async () => (async function* () {
+        yield { type: "response.output_text.delta", delta: "A cat" };
+        yield { type: "response.output_item.done", item: { type: "image_generation_call", result: "aW1n" } };
+      })(),
+    },
+  };
+  const onImage = async () => {
+    throw new Error("Drive is down");
+  };
+  const usageEntry = { account: "server", caller: "server", route: "/generate-with-image", provider: "openai", model: "gpt-5" };
+
+  await assert.rejects(streamWithUsage(client, { model: "gpt-5", input: "Draw a cat" }, { onImage }, usageEntry), /Drive is down/);
+  const entry = ledger().at(-1);
+  assert.equal(entry.route, "/generate-with-image");
+  assert.equal(entry.images, 1);
+  assert.equal(entry.estimated, true);
+});
+
+test("generateTextAndImage bills every generated image before hosting them", async () => {
+  const image = (result) => ({ type: "image_generation_call", result });
+  const client = {
+    responses: {
+      create: async () => ({ output_text: "Cats", output: [image("aW1n"), image("aW1n"), image("aW1n")], usage: { input_tokens: 2, output_tokens: 1 } }),
+    },
+  };
+  const provider = { requiresKey: false, createClient: () => client };
+  const usageEntry = { account: "server", caller: "server", route: "/generate-with-image", provider: "openai", model: "gpt-5" };
+
+  const result = await generateTextAndImage("Draw cats", "gpt-5", null, provider, { image: { count: 1 }, usageEntry });
+  assert.equal(result.imagesCount, 1);
+  assert.equal(ledger().at(-1).images, 3);
+
+  // Hosting fails (no PUBLIC_BASE_URL) after the model answered; the call is billed all the same
+  const before = ledger().length;
+  await assert.rejects(generateTextAndImage("Draw cats", "gpt-5", null, provider, { hosting: { host: "local" }, usageEntry }), /PUBLIC_BASE_URL/);
+  assert.equal(ledger().length, before + 1);
+});